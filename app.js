@@ -11,7 +11,8 @@ var express = require('express')
   , db = require('./lib/database')
   , package_metadata = require('./package.json')
   , locale = require('./lib/locale')
-  , request = require('request');
+  , labels = require('./lib/labels')
+  , live = require('./lib/live');
 
 var app = express();
 
@@ -37,7 +38,7 @@ bitcoinapi.setWalletDetails(settings.wallet);
 app.use('/api', require('./routes/api'));
 if (settings.heavy != true) {
   bitcoinapi.setAccess('only', ['getinfo', 'getnetworkhashps', 'getmininginfo', 'getdifficulty', 'getconnectioncount',
-    'getblockcount', 'getblockhash', 'getblock', 'getrawtransaction', 'getpeerinfo', 'gettxoutsetinfo', 'verifymessage']);
+    'getblockcount', 'getblockhash', 'getblock', 'getrawtransaction', 'getrawmempool', 'getpeerinfo', 'gettxoutsetinfo', 'verifymessage']);
 } else {
   // enable additional heavy api calls
   /*
@@ -54,7 +55,7 @@ if (settings.heavy != true) {
   bitcoinapi.setAccess('only', ['getinfo', 'getstakinginfo', 'getnetworkhashps', 'getdifficulty', 'getconnectioncount',
     'getblockcount', 'getblockhash', 'getblock', 'getrawtransaction', 'getmaxmoney', 'getvote',
     'getmaxvote', 'getphase', 'getreward', 'getnextrewardestimate', 'getnextrewardwhenstr',
-    'getnextrewardwhensec', 'getsupply', 'gettxoutsetinfo', 'verifymessage']);
+    'getnextrewardwhensec', 'getsupply', 'getrawmempool', 'gettxoutsetinfo', 'verifymessage']);
 }
 // view engine setup
 app.set('views', path.join(__dirname, 'views'));
@@ -71,6 +72,10 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/api', bitcoinapi.app);
 
 app.use('/', routes);
+// address watches for payment webhooks, see lib/webhooks
+app.use('/ext/watches', require('./routes/watches'));
+// server-sent events of new blocks, txs and summaries, see lib/live
+app.use('/ext/live', live.handler);
 app.use('/ext/getmoneysupply', function(req,res){
   lib.get_supply(function(supply){
     res.send(' '+supply);
@@ -111,6 +116,7 @@ app.use('/ext/getaddress/:hash', function(req,res){
           sent: (address.sent / 100000000),
           received: (address.received / 100000000),
           balance: (address.balance / 100000000).toString().replace(/(^-+)/mg, ''),
+          label: labels.for_api(address.a_id),
           last_txs: last_txs,
         };
         res.send(a_ext);
@@ -134,12 +140,20 @@ app.use('/ext/gettx/:txid', function(req, res) {
         if (rtx.txid) {
           lib.prepare_vin(rtx, function(vin) {
             lib.prepare_vout(rtx.vout, rtx.txid, vin, function(rvout, rvin) {
+              var kind = lib.classify_tx(rtx, vin);
+              var fee = lib.get_tx_fee(rtx, vin, kind.type);
               lib.calculate_total(rvout, function(total){
                 if (!rtx.confirmations > 0) {
                   var utx = {
                     txid: rtx.txid,
+                    type: kind.type,
+                    reward: kind.reward,
+                    fee: fee.fee,
+                    fee_rate: fee.fee_rate,
+                    size: fee.size,
                     vin: rvin,
                     vout: rvout,
+                    op_return: lib.get_op_returns(rtx.vout),
                     total: total.toFixed(8),
                     timestamp: rtx.time,
                     blockhash: '-',
@@ -149,8 +163,14 @@ app.use('/ext/gettx/:txid', function(req, res) {
                 } else {
                   var utx = {
                     txid: rtx.txid,
+                    type: kind.type,
+                    reward: kind.reward,
+                    fee: fee.fee,
+                    fee_rate: fee.fee_rate,
+                    size: fee.size,
                     vin: rvin,
                     vout: rvout,
+                    op_return: lib.get_op_returns(rtx.vout),
                     total: total.toFixed(8),
                     timestamp: rtx.time,
                     blockhash: rtx.blockhash,
@@ -171,6 +191,77 @@ app.use('/ext/gettx/:txid', function(req, res) {
   });
 });
 
+app.use('/ext/getutxos/:address', function(req,res){
+  db.get_utxos(req.params.address, function(utxos){
+    lib.get_blockcount(function(blockcount) {
+      var data = [];
+      for(i=0; i<utxos.length; i++){
+        data.push({
+          txid: utxos[i].txid,
+          n: utxos[i].n,
+          amount: (utxos[i].amount / 100000000),
+          height: utxos[i].height,
+          confirmations: isNaN(blockcount) ? null : (blockcount - utxos[i].height + 1),
+        });
+      }
+      res.send({address: req.params.address, utxos: data});
+    });
+  });
+});
+
+app.use('/ext/searchdata/:hex', function(req,res){
+  var hex = req.params.hex;
+  if (!/^[0-9a-fA-F]{2,}$/.test(hex)) {
+    return res.send({ error: 'invalid hex.', hex: hex });
+  }
+  db.search_op_return(hex, settings.txcount, function(txs){
+    var data = [];
+    for(i=0; i<txs.length; i++){
+      data.push({
+        txid: txs[i].txid,
+        blockindex: txs[i].blockindex,
+        timestamp: txs[i].timestamp,
+        op_return: txs[i].op_return,
+      });
+    }
+    res.send({hex: hex.toLowerCase(), count: data.length, txs: data});
+  });
+});
+
+app.use('/ext/getmempool', function(req,res){
+  db.get_mempool(function(txs){
+    var coins = function(list) {
+      var data = [];
+      for (var i = 0; i < list.length; i++) {
+        data.push({addresses: list[i].addresses, amount: (list[i].amount / 100000000)});
+      }
+      return data;
+    };
+    var data = [];
+    for(i=0; i<txs.length; i++){
+      data.push({
+        txid: txs[i].txid,
+        timestamp: txs[i].timestamp,
+        size: txs[i].size,
+        total: (txs[i].total / 100000000),
+        vin: coins(txs[i].vin),
+        vout: coins(txs[i].vout),
+      });
+    }
+    res.send({count: data.length, txs: data});
+  });
+});
+
+app.use('/ext/syncstatus', function(req,res){
+  db.get_sync_status(settings.coin, function(status){
+    if (status) {
+      res.send(status);
+    } else {
+      res.send({ error: 'stats not found.' });
+    }
+  });
+});
+
 app.use('/ext/getbalance/:hash', function(req,res){
   db.get_address(req.params.hash, function(address){
     if (address) {
@@ -191,6 +282,54 @@ app.use('/ext/getdistribution', function(req,res){
   });
 });
 
+// distinct curated labels of the addresses a tx spends from or pays to
+function tx_labels(tx) {
+  var seen = {};
+  var result = [];
+  var entries = tx.vin.concat(tx.vout);
+  for (var i = 0; i < entries.length; i++) {
+    var label = labels.get(entries[i].addresses);
+    if (label && !seen[entries[i].addresses]) {
+      seen[entries[i].addresses] = true;
+      result.push(label);
+    }
+  }
+  return result;
+}
+
+// rows are [rank, address, amount, percent, excluded, label], amounts in
+// satoshis. excluded addresses have no rank or percent and their balance is
+// left out of the supply percentages are taken from.
+app.use('/ext/getrichlistajax/:list', function(req,res){
+  var list = req.params.list == 'received' ? 'received' : 'balance';
+  var start = parseInt(req.query.start);
+  var length = parseInt(req.query.length);
+  if (isNaN(start) || start < 0) {
+    start = 0;
+  }
+  if (isNaN(length) || length < 1 || length > 1000) {
+    length = 100;
+  }
+  var search = (req.query.search && typeof req.query.search.value === 'string') ? req.query.search.value.trim() : '';
+  db.get_stats(settings.coin, function(stats){
+    db.get_richlist_ajax(list, start, length, search, function(entries, total, filtered, excluded_balance){
+      var supply = (stats ? stats.supply : 0) - (excluded_balance / 100000000);
+      var data = [];
+      for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var rank = typeof entry.rank === 'undefined' ? start + i + 1 : entry.rank;
+        var percent = null;
+        if (list == 'balance' && !entry.excluded && supply > 0) {
+          percent = ((entry.balance / 100000000) / supply) * 100;
+        }
+        var label = labels.get(entry.a_id) || labels.normalise({name: entry.name});
+        data.push([rank, entry.a_id, entry[list], percent, entry.excluded === true, label]);
+      }
+      res.json({"data": data, "draw": req.query.draw, "recordsTotal": total, "recordsFiltered": filtered});
+    });
+  });
+});
+
 app.use('/ext/getlasttxsajax/:min', function(req,res){
   if(typeof req.query.length === 'undefined' || isNaN(req.query.length) || req.query.length > settings.index.last_txs){
     req.query.length = settings.index.last_txs;
@@ -203,7 +342,14 @@ app.use('/ext/getlasttxsajax/:min', function(req,res){
   } else {
     req.params.min  = (req.params.min * 100000000);
   }
-  db.get_last_txs_ajax(req.query.start, req.query.length, req.params.min,function(txs, count){
+  // ?type=regular,coinbase limits the result to those tx types
+  var types = null;
+  if (typeof req.query.type === 'string' && req.query.type !== '') {
+    types = req.query.type.split(',').filter(function(type) {
+      return ['coinbase', 'coinstake', 'regular'].indexOf(type) > -1;
+    });
+  }
+  db.get_last_txs_ajax(req.query.start, req.query.length, req.params.min, types, function(txs, count){
     var data = [];
     for(i=0; i<txs.length; i++){
       var row = [];
@@ -213,6 +359,263 @@ app.use('/ext/getlasttxsajax/:min', function(req,res){
       row.push(txs[i].vout.length);
       row.push((txs[i].total));
       row.push(new Date((txs[i].timestamp) * 1000).toUTCString());
+      row.push(txs[i].type);
+      row.push(tx_labels(txs[i]));
+      data.push(row);
+    }
+    res.json({"data":data, "draw": req.query.draw, "recordsTotal": count, "recordsFiltered": count});
+  });
+});
+
+// accepts unix timestamps or anything Date.parse understands
+function parse_time(value) {
+  if (typeof value === 'undefined' || value === '') {
+    return null;
+  }
+  if (!isNaN(value)) {
+    return parseInt(value);
+  }
+  var time = Date.parse(value);
+  return isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function parse_height(value) {
+  if (typeof value === 'undefined' || value === '' || isNaN(value)) {
+    return null;
+  }
+  return parseInt(value);
+}
+
+// from/to are dates or unix times, a bare date for to includes that day.
+// defaults to the last 30 days, at most max_days (a year unless given, 0 for
+// no limit) per request
+function parse_range(query, max_days) {
+  if (typeof max_days === 'undefined') {
+    max_days = 366;
+  }
+  var now = Math.floor(new Date().getTime() / 1000);
+  var to = parse_time(query.to);
+  if (to === null) {
+    to = now;
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = to + 86400;
+  }
+  var from = parse_time(query.from);
+  if (from === null || from >= to) {
+    from = to - (30 * 86400);
+  }
+  if (max_days && to - from > max_days * 86400) {
+    from = to - (max_days * 86400);
+  }
+  return {from: from, to: to};
+}
+
+app.use('/ext/getscripttypes', function(req,res){
+  var range = parse_range(req.query);
+  var from = range.from;
+  var to = range.to;
+  db.get_script_type_stats(from, to, function(days){
+    for (var i = 0; i < days.length; i++) {
+      for (var type in days[i].types) {
+        days[i].types[type].value = days[i].types[type].value / 100000000;
+      }
+    }
+    res.send({from: from, to: to, days: days});
+  });
+});
+
+// balance after ?height= or as of ?date= (a bare date includes that day)
+app.use('/ext/getbalanceat/:address', function(req,res){
+  var lookup = function(cb) {
+    var height = parse_height(req.query.height);
+    if (height !== null) {
+      return cb(height, null);
+    }
+    var time = parse_time(req.query.date);
+    if (time === null) {
+      return cb(null, null);
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+      time = time + 86399;
+    }
+    db.get_height_at(time, function(height) {
+      return cb(height, time);
+    });
+  };
+  lookup(function(height, time) {
+    if (height === null) {
+      return res.send({ error: 'height or date required.', hash: req.params.address });
+    }
+    db.get_address(req.params.address, function(address) {
+      if (!address) {
+        return res.send({ error: 'address not found.', hash: req.params.address });
+      }
+      db.get_balance_at(req.params.address, height, function(result) {
+        if (!result) {
+          return res.send({ error: 'balance lookup failed.', hash: req.params.address });
+        }
+        res.send({
+          address: req.params.address,
+          height: height,
+          date: time,
+          balance: result.balance / 100000000,
+          txcount: result.txcount,
+        });
+      });
+    });
+  });
+});
+
+// running balance per block for the address page chart, in coins
+app.use('/ext/getbalancehistory/:address', function(req,res){
+  db.get_balance_history(req.params.address, settings.balance_history_points, function(points){
+    for (var i = 0; i < points.length; i++) {
+      points[i].balance = points[i].balance / 100000000;
+    }
+    res.send({address: req.params.address, data: points});
+  });
+});
+
+// addresses probably owned by the same wallet (co-spent as inputs), largest
+// balance first and paged with ?start=&length=. amounts are in coins
+app.use('/ext/getcluster/:address', function(req,res){
+  var start = parseInt(req.query.start);
+  var length = parseInt(req.query.length);
+  if (isNaN(start) || start < 0) {
+    start = 0;
+  }
+  if (isNaN(length) || length < 1 || length > 1000) {
+    length = 100;
+  }
+  db.get_cluster(req.params.address, start, length, function(cluster){
+    if (!cluster) {
+      return res.send({ error: 'address not found.', hash: req.params.address });
+    }
+    res.send({
+      address: cluster.address,
+      cluster: cluster.cluster,
+      size: cluster.size,
+      balance: cluster.balance / 100000000,
+      start: start,
+      addresses: cluster.addresses.map(function(entry) {
+        return {
+          address: entry.a_id,
+          balance: entry.balance / 100000000,
+          label: labels.get(entry.a_id) || labels.normalise({name: entry.name}),
+        };
+      }),
+    });
+  });
+});
+
+// graph of where a tx's outputs went (?direction=forward) or its inputs came
+// from (?direction=backward) over ?hops= hops, ignoring outputs below ?min=
+// coins. amounts are in coins
+app.use('/ext/trace/:txid', function(req,res){
+  if (settings.display.trace === false) {
+    return res.send({ error: 'trace is disabled.' });
+  }
+  var options = settings.trace || {};
+  var max_hops = options.max_hops || 5;
+  var direction = req.query.direction == 'backward' ? 'backward' : 'forward';
+  var hops = parseInt(req.query.hops);
+  if (isNaN(hops) || hops < 1) {
+    hops = Math.min(2, max_hops);
+  }
+  hops = Math.min(hops, max_hops);
+  var min = parseFloat(req.query.min);
+  if (isNaN(min) || min < 0) {
+    min = 0;
+  }
+  lib.convert_to_satoshi(min, function(threshold){
+    db.trace(req.params.txid, direction, hops, threshold, options.max_txs || 200, function(graph){
+      if (!graph) {
+        return res.send({ error: 'transaction not found.', hash: req.params.txid });
+      }
+      graph.nodes.forEach(function(node) {
+        if (node.type == 'address') {
+          node.label = node.address ? labels.get(node.address) : null;
+        } else if (typeof node.total !== 'undefined') {
+          node.total = node.total / 100000000;
+        }
+      });
+      graph.edges.forEach(function(edge) {
+        edge.amount = edge.amount / 100000000;
+      });
+      res.send({
+        txid: req.params.txid,
+        direction: direction,
+        hops: hops,
+        min: min,
+        truncated: graph.truncated,
+        nodes: graph.nodes,
+        edges: graph.edges,
+      });
+    });
+  });
+});
+
+// daily rollups built by sync, see models/daily. amounts are in coins
+var chart_metrics = ['txcount', 'volume', 'active_addresses', 'new_addresses', 'blocks', 'avg_block_time', 'issued'];
+app.use('/ext/getchartdata/:metric', function(req,res){
+  if (chart_metrics.indexOf(req.params.metric) < 0) {
+    return res.send({ error: 'unknown metric.', metrics: chart_metrics });
+  }
+  var range = parse_range(req.query, 0);
+  db.get_chart_data(req.params.metric, range.from, range.to, function(data){
+    if (req.params.metric == 'volume' || req.params.metric == 'issued') {
+      for (var i = 0; i < data.length; i++) {
+        data[i][1] = data[i][1] / 100000000;
+      }
+    }
+    res.send({metric: req.params.metric, from: range.from, to: range.to, data: data});
+  });
+});
+
+// fees of regular txs per day, amounts in coins and rates in satoshis per byte
+app.use('/ext/getfeestats', function(req,res){
+  var range = parse_range(req.query);
+  db.get_fee_stats(range.from, range.to, function(days){
+    for (var i = 0; i < days.length; i++) {
+      days[i].fees = days[i].fees / 100000000;
+      days[i].avg_fee = days[i].avg_fee / 100000000;
+      days[i].median_fee = days[i].median_fee / 100000000;
+    }
+    res.send({from: range.from, to: range.to, days: days});
+  });
+});
+
+app.use('/ext/getblocks', function(req,res){
+  req.query.length = parseInt(req.query.length);
+  if(isNaN(req.query.length) || req.query.length > settings.blockcount){
+    req.query.length = settings.blockcount;
+  }
+  if(isNaN(req.query.start) || req.query.start < 0){
+    req.query.start = 0;
+  }
+  var filter = {
+    height_from: parse_height(req.query.height_from),
+    height_to: parse_height(req.query.height_to),
+    time_from: parse_time(req.query.time_from),
+    time_to: parse_time(req.query.time_to)
+  };
+  // a bare date as upper bound includes the whole day
+  if (filter.time_to != null && /^\d{4}-\d{2}-\d{2}$/.test(req.query.time_to)) {
+    filter.time_to = filter.time_to + 86399;
+  }
+  db.get_blocks_ajax(req.query.start, req.query.length, filter, function(blocks, count){
+    var data = [];
+    for(i=0; i<blocks.length; i++){
+      var row = [];
+      row.push(blocks[i].height);
+      row.push(blocks[i].hash);
+      row.push(new Date((blocks[i].time) * 1000).toUTCString());
+      row.push(blocks[i].txcount);
+      row.push(blocks[i].total);
+      row.push(blocks[i].size);
+      row.push(blocks[i].difficulty);
+      row.push(blocks[i].miner);
+      row.push(blocks[i].fees);
       data.push(row);
     }
     res.json({"data":data, "draw": req.query.draw, "recordsTotal": count, "recordsFiltered": count});
@@ -252,6 +655,7 @@ app.use('/ext/getaddresstxsajax/:address', function(req,res){
                 row.push(out);
                 row.push(vin);
                 row.push(txs[i].balance);
+                row.push(txs[i].type);
                 data.push(row);
             }
         }
@@ -260,26 +664,29 @@ app.use('/ext/getaddresstxsajax/:address', function(req,res){
     });
 });
 
+// the claim page first asks for a one-time message to sign, then posts the
+// signature with the label. both answer {status, message}.
+function claim_failed(res, code, message) {
+  res.status(code).json({status: 'failed', error: true, message: message});
+}
+
+app.post('/address/:hash/claim/challenge', function(req, res){
+  db.create_claim_challenge(req.params.hash, req.ip, function(err, challenge){
+    if (err) {
+      return claim_failed(res, err.indexOf('too many') === 0 ? 429 : 400, err);
+    }
+    res.json({status: 'success', nonce: challenge.nonce, message: challenge.message, expires: challenge.expires});
+  });
+});
+
 app.post('/address/:hash/claim', function(req, res){
-  var address = req.body.address;
-  var signature = req.body.signature;
-  var message = req.body.message;
-  request({
-      url: 'http://127.0.0.1:' + settings.port + '/api/verifymessage?address='+address+ '&signature='+ signature + '&message=' + message,
-    method: 'GET',
-  }, function(error, response, body){
-    //console.log('error', error);
-    //console.log('response', response);
-    if(body == "false"){
-      console.log('failed');
-      res.json({"status": "failed", "error":true, "message": error});
-    }else if(body == "true"){
-      db.update_label(address, message, function(){
-        res.json({"status": "success"});
-      })
+  db.claim_address(req.params.hash, req.body.nonce, req.body.signature, req.body.label, req.ip, function(err, name){
+    if (err) {
+      return claim_failed(res, 400, err);
     }
+    res.json({status: 'success', name: name});
   });
-})
+});
 
 app.use('/ext/connections', function(req,res){
   db.get_peers(function(peers){
@@ -306,6 +713,8 @@ app.set('heavy', settings.heavy);
 app.set('lock_during_index', settings.lock_during_index);
 app.set('txcount', settings.txcount);
 app.set('txcount_per_page', settings.txcount_per_page);
+app.set('blockcount', settings.blockcount);
+app.set('blockcount_per_page', settings.blockcount_per_page);
 app.set('nethash', settings.nethash);
 app.set('nethash_units', settings.nethash_units);
 app.set('show_sent_received', settings.show_sent_received);
@@ -313,6 +722,10 @@ app.set('logo', settings.logo);
 app.set('headerlogo', settings.headerlogo);
 app.set('theme', settings.theme);
 app.set('labels', settings.labels);
+app.set('claim', settings.claim);
+app.set('live', settings.live);
+// curated address labels for the views, see lib/labels
+app.locals.address_label = labels.get;
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
@@ -0,0 +1,80 @@
+var http = require('http')
+  , settings = require('./settings');
+
+// zeromq is optional, only needed when settings.sync.zmq is set
+function subscribe_zmq(url, onblock) {
+  var zmq;
+  try {
+    zmq = require('zeromq');
+  } catch (e) {
+    console.log('zeromq module not installed, unable to subscribe to %s', url);
+    return null;
+  }
+  var sock = zmq.socket('sub');
+  sock.connect(url);
+  sock.subscribe('hashblock');
+  sock.on('message', function(topic, message) {
+    if (topic.toString() === 'hashblock') {
+      onblock('zmq', message.toString('hex'));
+    }
+  });
+  console.log('subscribed to hashblock on %s', url);
+  return sock;
+}
+
+// point the daemon at it with
+// -blocknotify="curl -s http://127.0.0.1:<notify_port>/blocknotify/%s"
+function listen_http(host, port, onblock) {
+  var server = http.createServer(function(req, res) {
+    var parts = req.url.split('/');
+    if (parts[1] === 'blocknotify') {
+      onblock('blocknotify', parts[2] || '');
+      res.writeHead(200, {'Content-Type': 'text/plain'});
+      res.end('ok');
+    } else {
+      res.writeHead(404, {'Content-Type': 'text/plain'});
+      res.end('not found');
+    }
+  });
+  server.on('error', function(err) {
+    console.log('blocknotify hook error: %s', err.message);
+  });
+  server.listen(port, host, function() {
+    console.log('listening for blocknotify on http://%s:%s/blocknotify/', host, port);
+  });
+  return server;
+}
+
+module.exports = {
+  // calls onblock(source, hash) for each new block announced by zmq or the
+  // blocknotify hook, and every poll_interval seconds as a fallback.
+  // returns a function that stops all listeners.
+  listen: function(onblock) {
+    var options = settings.sync || {};
+    var sock = null;
+    var server = null;
+    var timer = null;
+    if (options.zmq) {
+      sock = subscribe_zmq(options.zmq, onblock);
+    }
+    if (options.notify_port) {
+      server = listen_http(options.notify_host || '127.0.0.1', options.notify_port, onblock);
+    }
+    var poll_interval = parseInt(options.poll_interval);
+    if (isNaN(poll_interval) || poll_interval < 1) {
+      poll_interval = 60;
+    }
+    timer = setInterval(function() {
+      onblock('poll', '');
+    }, poll_interval * 1000);
+    return function() {
+      clearInterval(timer);
+      if (sock) {
+        sock.close();
+      }
+      if (server) {
+        server.close();
+      }
+    };
+  }
+};
@@ -7,9 +7,19 @@ var mongoose = require('mongoose')
   , Richlist = require('../models/richlist')
   , Peers = require('../models/peers')
   , Heavy = require('../models/heavy')
+  , Reorg = require('../models/reorg')
+  , Block = require('../models/block')
+  , Utxo = require('../models/utxo')
+  , Mempool = require('../models/mempool')
+  , Daily = require('../models/daily')
+  , Challenge = require('../models/challenge')
+  , Claim = require('../models/claim')
   , lib = require('./explorer')
+  , webhooks = require('./webhooks')
+  , live = require('./live')
   , settings = require('./settings')
   , fs = require('fs')
+  , crypto = require('crypto')
   , async = require('async');
 
 mongoose.set('useCreateIndex', true);
@@ -47,58 +57,98 @@ function find_richlist(coin, cb) {
   });
 }
 
-function update_address(hash, blockheight, txid, amount, type, cb) {
-  var to_sent = false;
-  var to_received = false;
-  var addr_inc = {}
+// a batch collects the writes of one or more txs in memory so they can be
+// flushed with a single bulkWrite per collection. a batch created with a
+// block height is applied at most once per address (see flush_batch).
+function new_batch(height) {
+  return {
+    height: (typeof height === 'number') ? height : null,
+    addresses: {},
+    multisig: {},
+    address_txs: {},
+    txs: [],
+    outpoints: [],
+    spends: []
+  };
+}
+
+function add_address(batch, hash, blockheight, txid, amount, type) {
+  if (!batch.addresses[hash]) {
+    batch.addresses[hash] = {sent: 0, received: 0, balance: 0};
+  }
+  var addr_inc = batch.addresses[hash];
+  var balance = 0;
   if ( hash == 'coinbase' ) {
-    addr_inc.sent = amount;
+    addr_inc.sent = addr_inc.sent + amount;
   } else {
     if (type == 'vin') {
-      addr_inc.sent = amount;
-      addr_inc.balance = -amount;
+      addr_inc.sent = addr_inc.sent + amount;
+      balance = -amount;
     } else {
-      addr_inc.received = amount;
-      addr_inc.balance = amount;
+      addr_inc.received = addr_inc.received + amount;
+      balance = amount;
     }
+    addr_inc.balance = addr_inc.balance + balance;
+    var key = hash + ':' + txid;
+    if (!batch.address_txs[key]) {
+      batch.address_txs[key] = {a_id: hash, blockindex: blockheight, txid: txid, amount: 0};
+    }
+    batch.address_txs[key].amount = batch.address_txs[key].amount + balance;
   }
-  Address.findOneAndUpdate({a_id: hash}, {
-    $inc: addr_inc
-  }, {
-    new: true,
-    upsert: true
-  }, function (err, address) {
-    if (err) {
-      return cb(err);
-    } else {
-      if ( hash != 'coinbase' ) {
-        AddressTx.findOneAndUpdate({a_id: hash, txid: txid}, {
-          $inc: {
-            amount: addr_inc.balance
+}
+
+// records every value-carrying output of a raw tx as an outpoint and
+// marks the outpoints its inputs spend
+function add_outpoints(batch, tx, blockheight) {
+  for (var i = 0; i < tx.vout.length; i++) {
+    var output = tx.vout[i];
+    if (!output || !(output.value > 0)) {
+      continue;
+    }
+    var owner = lib.get_vout_owner(output);
+    lib.convert_to_satoshi(parseFloat(output.value), function(amount_sat) {
+      batch.outpoints.push({
+        updateOne: {
+          filter: {txid: tx.txid, n: output.n},
+          update: {
+            $set: {
+              txid: tx.txid,
+              n: output.n,
+              address: owner ? owner.address : '',
+              amount: amount_sat,
+              height: blockheight,
+            },
+            // bulkWrite upserts don't apply schema defaults
+            $setOnInsert: {
+              spent: false,
+              spent_txid: null,
+              spent_height: null,
+            }
           },
-          $set: {
-            a_id: hash,
-            blockindex: blockheight,
-            txid: txid
-          }
-        }, {
-          new: true,
           upsert: true
-        }, function (err,addresstx) {
-          if (err) {
-            return cb(err);
-          } else {
-            return cb();
+        }
+      });
+    });
+  }
+  for (var v = 0; v < tx.vin.length; v++) {
+    if (tx.vin[v].coinbase || typeof tx.vin[v].txid === 'undefined') {
+      continue;
+    }
+    batch.spends.push({
+      updateOne: {
+        filter: {txid: tx.vin[v].txid, n: tx.vin[v].vout},
+        update: {
+          $set: {
+            spent: true,
+            spent_txid: tx.txid,
+            spent_height: blockheight,
           }
-        });
-      } else {
-        return cb();
+        }
       }
-    }
-  });
+    });
+  }
 }
 
-
 function find_tx(txid, cb) {
   Tx.findOne({txid: txid}, function(err, tx) {
     if(tx) {
@@ -109,48 +159,44 @@ function find_tx(txid, cb) {
   });
 }
 
-function save_tx(txid, blockheight, cb) {
-  //var s_timer = new Date().getTime();
+// fetches and decodes a tx and adds its effects to the batch
+function prepare_tx(txid, blockheight, batch, cb) {
   lib.get_rawtransaction(txid, function(tx){
-    if (tx != 'There was an error. Check your console.') {
+    if (tx && tx.txid) {
       lib.prepare_vin(tx, function(vin) {
         lib.prepare_vout(tx.vout, txid, vin, function(vout, nvin) {
-          lib.syncLoop(vin.length, function (loop) {
-            var i = loop.iteration();
-            update_address(nvin[i].addresses, blockheight, txid, nvin[i].amount, 'vin', function(){
-              loop.next();
-            });
-          }, function(){
-            lib.syncLoop(vout.length, function (subloop) {
-              var t = subloop.iteration();
-              if (vout[t].addresses) {
-                update_address(vout[t].addresses, blockheight, txid, vout[t].amount, 'vout', function(){
-                  subloop.next();
-                });
-              } else {
-                subloop.next();
+          for (var i = 0; i < nvin.length; i++) {
+            add_address(batch, nvin[i].addresses, blockheight, txid, nvin[i].amount, 'vin');
+          }
+          for (var t = 0; t < vout.length; t++) {
+            if (vout[t].addresses) {
+              add_address(batch, vout[t].addresses, blockheight, txid, vout[t].amount, 'vout');
+              if (vout[t].keys) {
+                batch.multisig[vout[t].addresses] = {keys: vout[t].keys, required: vout[t].required};
               }
-            }, function(){
-              lib.calculate_total(vout, function(total){
-                var newTx = new Tx({
-                  txid: tx.txid,
-                  vin: nvin,
-                  vout: vout,
-                  total: total.toFixed(8),
-                  timestamp: tx.time,
-                  blockhash: tx.blockhash,
-                  blockindex: blockheight,
-                });
-                newTx.save(function(err) {
-                  if (err) {
-                    return cb(err);
-                  } else {
-                    //console.log('txid: ');
-                    return cb();
-                  }
-                });
-              });
+            }
+          }
+          add_outpoints(batch, tx, blockheight);
+          var kind = lib.classify_tx(tx, vin);
+          var fee = lib.get_tx_fee(tx, vin, kind.type);
+          lib.calculate_total(vout, function(total){
+            batch.txs.push({
+              txid: tx.txid,
+              type: kind.type,
+              reward: kind.reward,
+              fee: fee.fee,
+              fee_rate: fee.fee_rate,
+              size: fee.size,
+              vin: nvin,
+              vout: vout,
+              script_types: lib.get_script_types(tx.vout),
+              op_return: lib.get_op_returns(tx.vout),
+              total: total.toFixed(8),
+              timestamp: tx.time,
+              blockhash: tx.blockhash,
+              blockindex: blockheight,
             });
+            return cb();
           });
         });
       });
@@ -160,6 +206,685 @@ function save_tx(txid, blockheight, cb) {
   });
 }
 
+function is_duplicate_error(err) {
+  if (err.code === 11000) {
+    return true;
+  }
+  var write_errors = err.writeErrors || [];
+  if (write_errors.length < 1) {
+    return false;
+  }
+  for (var i = 0; i < write_errors.length; i++) {
+    if (write_errors[i].code !== 11000) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// duplicate key errors mean the document was already written and are ignored
+function bulk_write(model, ops, ordered, cb) {
+  if (ops.length < 1) {
+    return cb(null);
+  }
+  model.bulkWrite(ops, {ordered: ordered}, function(err) {
+    if (err && is_duplicate_error(err)) {
+      return cb(null);
+    }
+    return cb(err);
+  });
+}
+
+// writes a batch; outpoints are created before the spends in the same batch.
+// every write is idempotent so a block interrupted mid-flush can be replayed:
+// address increments of a block batch are guarded by last_block (an address
+// already at batch.height fails the filter and its upsert hits the unique
+// a_id index), the rest are upserts or inserts on unique keys.
+function flush_batch(batch, cb) {
+  var address_ops = [];
+  for (var hash in batch.addresses) {
+    var addr_inc = batch.addresses[hash];
+    var inc = {sent: addr_inc.sent};
+    if (hash != 'coinbase') {
+      inc.received = addr_inc.received;
+      inc.balance = addr_inc.balance;
+    }
+    var filter = {a_id: hash};
+    var update = {$inc: inc, $set: {}};
+    if (batch.height !== null) {
+      filter.last_block = {$ne: batch.height};
+      update.$set.last_block = batch.height;
+      update.$min = {first_block: batch.height};
+    }
+    if (batch.multisig[hash]) {
+      update.$set.keys = batch.multisig[hash].keys;
+      update.$set.required = batch.multisig[hash].required;
+    }
+    if (Object.keys(update.$set).length < 1) {
+      delete update.$set;
+    }
+    address_ops.push({
+      updateOne: {
+        filter: filter,
+        update: update,
+        upsert: true
+      }
+    });
+  }
+  var address_tx_ops = [];
+  for (var key in batch.address_txs) {
+    var address_tx = batch.address_txs[key];
+    address_tx_ops.push({
+      updateOne: {
+        filter: {a_id: address_tx.a_id, txid: address_tx.txid},
+        update: {$set: address_tx},
+        upsert: true
+      }
+    });
+  }
+  var tx_ops = [];
+  for (var i = 0; i < batch.txs.length; i++) {
+    tx_ops.push({insertOne: {document: batch.txs[i]}});
+  }
+  bulk_write(Address, address_ops, false, function(err) {
+    if (err) {
+      return cb(err);
+    }
+    bulk_write(AddressTx, address_tx_ops, false, function(err) {
+      if (err) {
+        return cb(err);
+      }
+      bulk_write(Utxo, batch.outpoints.concat(batch.spends), true, function(err) {
+        if (err) {
+          return cb(err);
+        }
+        bulk_write(Tx, tx_ops, false, function(err) {
+          if (err || !cluster_options().enabled) {
+            return cb(err);
+          }
+          update_clusters(lib.cluster_inputs(batch.txs), cb);
+        });
+      });
+    });
+  });
+}
+
+// puts addresses (co-spent, see lib/explorer cluster_inputs) in one cluster.
+// the largest of their current clusters absorbs the others and the
+// addresses without one, so each address is relabelled O(log n) times.
+// merging is idempotent, a replayed block changes nothing.
+function merge_cluster(addresses, cb) {
+  Address.find({a_id: {$in: addresses}}, 'a_id cluster', function(err, found) {
+    if (err) {
+      return cb(err);
+    }
+    var clusters = [];
+    var loose = addresses.slice();
+    for (var i = 0; i < found.length; i++) {
+      if (found[i].cluster) {
+        loose.splice(loose.indexOf(found[i].a_id), 1);
+        if (clusters.indexOf(found[i].cluster) < 0) {
+          clusters.push(found[i].cluster);
+        }
+      }
+    }
+    if (clusters.length < 1) {
+      return Address.updateMany({a_id: {$in: addresses}}, {$set: {cluster: addresses[0]}}, cb);
+    }
+    if (clusters.length == 1 && loose.length < 1) {
+      return cb(null);
+    }
+    Address.aggregate([
+      {$match: {cluster: {$in: clusters}}},
+      {$group: {_id: '$cluster', size: {$sum: 1}}},
+      {$sort: {size: -1, _id: 1}},
+    ], function(err, sizes) {
+      if (err || sizes.length < 1) {
+        return cb(err);
+      }
+      var root = sizes[0]._id;
+      Address.updateMany({$or: [
+        {cluster: {$in: clusters.filter(function(cluster) { return cluster !== root; })}},
+        {a_id: {$in: loose}},
+      ]}, {$set: {cluster: root}}, cb);
+    });
+  });
+}
+
+function update_clusters(groups, cb) {
+  async.eachSeries(groups, function(group, next) {
+    merge_cluster(group, function(err) {
+      return next(err);
+    });
+  }, function(err) {
+    return cb(err);
+  });
+}
+
+// recomputes the clusters of addresses from the txs indexed up to height,
+// used when a rollback removes the txs that merged them. every address
+// co-spent with a member is a member, so the member txs are enough to
+// split them again. groups keep their first address as id.
+function rebuild_clusters(addresses, height, cb) {
+  Address.distinct('cluster', {a_id: {$in: addresses}, cluster: {$ne: null}}, function(err, clusters) {
+    if (err || clusters.length < 1) {
+      return cb(err);
+    }
+    Address.distinct('a_id', {cluster: {$in: clusters}}, function(err, members) {
+      if (err) {
+        return cb(err);
+      }
+      AddressTx.distinct('txid', {a_id: {$in: members}, blockindex: {$lte: height}}, function(err, txids) {
+        if (err) {
+          return cb(err);
+        }
+        Tx.find({txid: {$in: txids}}, {_id: 0, 'vin.addresses': 1}).lean().exec(function(err, txs) {
+          if (err) {
+            return cb(err);
+          }
+          var grouped = {};
+          var ops = [];
+          lib.cluster_inputs(txs).forEach(function(group) {
+            group.forEach(function(hash) {
+              grouped[hash] = true;
+            });
+            ops.push({updateMany: {filter: {a_id: {$in: group}}, update: {$set: {cluster: group[0]}}}});
+          });
+          var loose = members.filter(function(hash) {
+            return !grouped[hash];
+          });
+          ops.push({updateMany: {filter: {a_id: {$in: loose}}, update: {$unset: {cluster: 1}}}});
+          bulk_write(Address, ops, true, cb);
+        });
+      });
+    });
+  });
+}
+
+// recomputes first_block of the addresses first seen above height from the
+// AddressTx rows left at or below it. addresses with none are unset, so
+// the new address counts of update_daily_stats don't include them.
+function reset_first_block(height, cb) {
+  Address.distinct('a_id', {first_block: {$gt: height}}, function(err, hashes) {
+    if (err || hashes.length < 1) {
+      return cb(err);
+    }
+    AddressTx.aggregate([
+      {$match: {a_id: {$in: hashes}, blockindex: {$lte: height}}},
+      {$group: {_id: '$a_id', first_block: {$min: '$blockindex'}}},
+    ], function(err, found) {
+      if (err) {
+        return cb(err);
+      }
+      var first = {};
+      for (var i = 0; i < found.length; i++) {
+        first[found[i]._id] = found[i].first_block;
+      }
+      var ops = hashes.map(function(hash) {
+        var update = first.hasOwnProperty(hash) ? {$set: {first_block: first[hash]}} : {$unset: {first_block: 1}};
+        return {updateOne: {filter: {a_id: hash}, update: update}};
+      });
+      bulk_write(Address, ops, false, cb);
+    });
+  });
+}
+
+// cluster settings with defaults for missing keys
+function cluster_options() {
+  var options = settings.cluster || {};
+  return {
+    enabled: options.enabled !== false,
+    panel_addresses: options.panel_addresses || 10,
+  };
+}
+
+// applies a prepared block and moves the checkpoint (Stats.last) to it.
+// a crash before the checkpoint is written replays the block next run.
+// with notify set the block's txs are queued for address watches and
+// published to the live feed.
+function commit_block(coin, height, batch, block, notify, cb) {
+  flush_batch(batch, function(err) {
+    if (err) {
+      return cb(err);
+    }
+    var checkpoint = function() {
+      Stats.updateOne({coin: coin}, {
+        last: height,
+      }, function(err) {
+        return cb(err);
+      });
+    };
+    if (notify) {
+      var done = checkpoint;
+      checkpoint = function() {
+        webhooks.queue_txs(batch.txs, 'block', function() {
+          live.publish_block(block, batch.txs, done);
+        });
+      };
+    }
+    if (!block) {
+      return checkpoint();
+    }
+    save_block(block, function(err) {
+      if (err) {
+        console.log(err);
+      }
+      Mempool.deleteMany({txid: {$in: block.tx}}, function() {
+        checkpoint();
+      });
+    });
+  });
+}
+
+// entry is the tx's verbose getrawmempool entry
+function save_mempool_tx(txid, entry, cb) {
+  lib.get_rawtransaction(txid, function(tx) {
+    if (!tx || !tx.txid) {
+      return cb();
+    }
+    lib.prepare_vin(tx, function(vin) {
+      lib.prepare_vout(tx.vout, txid, vin, function(vout, nvin) {
+        lib.calculate_total(vout, function(total) {
+          var addresses = [];
+          var entries = nvin.concat(vout);
+          for (var i = 0; i < entries.length; i++) {
+            if (entries[i].addresses && entries[i].addresses != 'coinbase' && addresses.indexOf(entries[i].addresses) < 0) {
+              addresses.push(entries[i].addresses);
+            }
+          }
+          Mempool.updateOne({txid: txid}, {
+            $set: {
+              txid: txid,
+              vin: nvin,
+              vout: vout,
+              addresses: addresses,
+              total: total,
+              size: entry.vsize || entry.size || 0,
+              timestamp: entry.time || tx.time || 0,
+            }
+          }, {upsert: true}, function(err) {
+            if (err) {
+              console.log(err);
+              return cb();
+            }
+            var stored = {txid: txid, vin: nvin, vout: vout, timestamp: entry.time || tx.time || 0};
+            webhooks.queue_txs([stored], 'mempool', function() {
+              live.publish('tx', live.tx_data(stored, null), cb);
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+function save_tx(txid, blockheight, cb) {
+  var batch = new_batch();
+  prepare_tx(txid, blockheight, batch, function(err) {
+    if (err) {
+      return cb(err);
+    }
+    flush_batch(batch, cb);
+  });
+}
+
+// stores a summary of an indexed block; txs must already be saved
+function save_block(block, cb) {
+  Tx.find({txid: {$in: block.tx}}, 'txid vout total type fee fee_rate', function(err, txs) {
+    if (err) {
+      return cb(err);
+    }
+    var by_txid = {};
+    var total = 0;
+    for (var i = 0; i < txs.length; i++) {
+      by_txid[txs[i].txid] = txs[i];
+      total = total + txs[i].total;
+    }
+    // PoS blocks pay the staker in the coinstake (second) tx
+    var miner = '';
+    var reward_tx = by_txid[block.tx[0]];
+    if ((!reward_tx || reward_tx.vout.length < 1) && block.tx.length > 1) {
+      reward_tx = by_txid[block.tx[1]];
+    }
+    if (reward_tx && reward_tx.vout.length > 0) {
+      miner = reward_tx.vout[0].addresses;
+    }
+    var fees = lib.get_fee_summary(txs);
+    var difficulty = parseFloat(block.difficulty);
+    Block.updateOne({height: block.height}, {
+      $set: {
+        height: block.height,
+        hash: block.hash,
+        time: block.time,
+        size: block.size,
+        txcount: block.tx.length,
+        difficulty: isNaN(difficulty) ? 0 : difficulty,
+        total: total,
+        fees: fees.fees,
+        median_fee: fees.median_fee,
+        median_fee_rate: fees.median_fee_rate,
+        miner: miner,
+      }
+    }, {
+      upsert: true
+    }, function(err) {
+      return cb(err);
+    });
+  });
+}
+
+// rolls up the UTC day starting at start (unix time) from the indexed blocks,
+// txs and addresses of that day
+function save_day(start, cb) {
+  var day = {
+    date: new Date(start * 1000).toISOString().substr(0, 10),
+    time: start,
+    txcount: 0,
+    volume: 0,
+    active_addresses: 0,
+    new_addresses: 0,
+    blocks: 0,
+    avg_block_time: 0,
+    issued: 0,
+  };
+  var save = function() {
+    Daily.updateOne({date: day.date}, {$set: day}, {upsert: true}, function(err) {
+      return cb(err);
+    });
+  };
+  Block.aggregate([
+    { $match: { time: { $gte: start, $lt: start + 86400 } } },
+    { $group: {
+      _id: null,
+      count: { $sum: 1 },
+      min_height: { $min: '$height' },
+      max_height: { $max: '$height' },
+      min_time: { $min: '$time' },
+      max_time: { $max: '$time' }
+    } }
+  ]).exec(function(err, blocks) {
+    if (err) {
+      return cb(err);
+    }
+    if (!blocks.length) {
+      return save();
+    }
+    var heights = { $gte: blocks[0].min_height, $lte: blocks[0].max_height };
+    day.blocks = blocks[0].count;
+    if (blocks[0].count > 1) {
+      day.avg_block_time = Math.round((blocks[0].max_time - blocks[0].min_time) / (blocks[0].count - 1));
+    }
+    Tx.aggregate([
+      { $match: { blockindex: heights } },
+      { $group: { _id: '$type', count: { $sum: 1 }, total: { $sum: '$total' }, reward: { $sum: '$reward' } } }
+    ]).exec(function(err, types) {
+      if (err) {
+        return cb(err);
+      }
+      for (var i = 0; i < types.length; i++) {
+        day.txcount += types[i].count;
+        day.issued += types[i].reward;
+        if (types[i]._id !== 'coinbase' && types[i]._id !== 'coinstake') {
+          day.volume += types[i].total;
+        }
+      }
+      AddressTx.aggregate([
+        { $match: { blockindex: heights } },
+        { $group: { _id: '$a_id' } },
+        { $group: { _id: null, count: { $sum: 1 } } }
+      ]).allowDiskUse(true).exec(function(err, active) {
+        if (err) {
+          return cb(err);
+        }
+        day.active_addresses = active.length ? active[0].count : 0;
+        Address.countDocuments({first_block: heights, a_id: {$ne: 'coinbase'}}, function(err, count) {
+          if (err) {
+            return cb(err);
+          }
+          day.new_addresses = count;
+          return save();
+        });
+      });
+    });
+  });
+}
+
+// bucket settings of the wealth distribution with defaults for missing keys
+function distribution_options() {
+  var options = settings.richlist || {};
+  return {
+    rank_buckets: options.rank_buckets || [25, 50, 75, 100],
+    balance_buckets: options.balance_buckets || [0, 1, 10, 100, 1000, 10000, 100000],
+    concentration: options.concentration || [33, 50, 66],
+  };
+}
+
+// address claim settings with defaults for missing keys
+function claim_options() {
+  var options = settings.claim || {};
+  return {
+    expiry: options.expiry || 900,
+    window: options.window || 3600,
+    max_challenges: options.max_challenges || 10,
+    max_attempts: options.max_attempts || 3,
+    max_length: options.max_length || 30,
+  };
+}
+
+// wealth distribution over every funded address except the excluded ones
+function compute_distribution(excluded, cb) {
+  var options = distribution_options();
+  var balances = [];
+  var cursor = Address.find({a_id: {$nin: excluded.concat(['coinbase'])}, balance: {$gt: 0}}, 'balance')
+    .sort({balance: -1}).lean().cursor();
+  var next = function() {
+    cursor.next(function(err, address) {
+      if (err) {
+        console.log(err);
+        return cb(null);
+      }
+      if (!address) {
+        return cb(lib.get_distribution_stats(balances, options.rank_buckets, options.balance_buckets, options.concentration));
+      }
+      balances.push(address.balance);
+      // keeps the stack flat when the driver answers from its batch
+      if (balances.length % 1000 === 0) {
+        return setImmediate(next);
+      }
+      next();
+    });
+  };
+  next();
+}
+
+function is_hash(hash) {
+  return typeof hash === 'string' && /^[0-9a-fA-F]{64}$/.test(hash);
+}
+
+// returns the block hash recorded by the index at the given height.
+// falls back to the tx collection for blocks indexed before blocks were stored.
+function find_indexed_hash(height, cb) {
+  Block.findOne({height: height}, 'hash', function(err, block) {
+    if (block) {
+      return cb(block.hash);
+    }
+    Tx.findOne({blockindex: height}, 'blockhash', function(err, tx) {
+      if (tx) {
+        return cb(tx.blockhash);
+      } else {
+        return cb(null);
+      }
+    });
+  });
+}
+
+// walks back from height until the indexed hash matches the node's hash.
+// returns null if the node could not be queried.
+function find_fork_height(height, cb) {
+  if (height < 1) {
+    return cb(0);
+  }
+  lib.get_blockhash(height, function(node_hash) {
+    if (!is_hash(node_hash)) {
+      console.log('unable to verify block %s against node', height);
+      return cb(null);
+    }
+    find_indexed_hash(height, function(indexed_hash) {
+      if (indexed_hash == node_hash) {
+        return cb(height);
+      } else {
+        return find_fork_height(height - 1, cb);
+      }
+    });
+  });
+}
+
+// removes every indexed tx above fork_height, reversing the address
+// increments they applied, and logs the rollback. every step can be
+// replayed if a rollback is interrupted: reversed addresses are moved to
+// last_block fork_height and skipped the next time, and the txs, which are
+// what marks the index as forked, are removed last.
+function rollback_blocks(coin, fork_height, tip_height, cb) {
+  Tx.find({blockindex: {$gt: fork_height}}).sort({blockindex: -1}).exec(function(err, txs) {
+    if (err) {
+      return cb(err);
+    }
+    var orphaned = [];
+    var seen = {};
+    var txids = [];
+    var inputs = [];
+    var first_time = null;
+    var batch = new_batch();
+    for (var i = 0; i < txs.length; i++) {
+      var tx = txs[i];
+      if (!seen[tx.blockhash]) {
+        seen[tx.blockhash] = true;
+        orphaned.push({height: tx.blockindex, hash: tx.blockhash});
+      }
+      txids.push(tx.txid);
+      if (first_time === null || tx.timestamp < first_time) {
+        first_time = tx.timestamp;
+      }
+      for (var v = 0; v < tx.vin.length; v++) {
+        add_address(batch, tx.vin[v].addresses, tx.blockindex, tx.txid, -tx.vin[v].amount, 'vin');
+        if (inputs.indexOf(tx.vin[v].addresses) < 0) {
+          inputs.push(tx.vin[v].addresses);
+        }
+      }
+      for (var t = 0; t < tx.vout.length; t++) {
+        if (tx.vout[t].addresses) {
+          add_address(batch, tx.vout[t].addresses, tx.blockindex, tx.txid, -tx.vout[t].amount, 'vout');
+        }
+      }
+    }
+    var address_ops = [];
+    for (var hash in batch.addresses) {
+      address_ops.push({
+        updateOne: {
+          filter: {a_id: hash, last_block: {$ne: fork_height}},
+          update: {$inc: batch.addresses[hash], $set: {last_block: fork_height}}
+        }
+      });
+    }
+    var steps = [
+      function(next) {
+        bulk_write(Address, address_ops, false, next);
+      },
+      function(next) {
+        // the orphaned txs may have merged clusters
+        if (!cluster_options().enabled) {
+          return next();
+        }
+        rebuild_clusters(inputs, fork_height, next);
+      },
+      function(next) {
+        reset_first_block(fork_height, next);
+      },
+      function(next) {
+        AddressTx.deleteMany({txid: {$in: txids}}, next);
+      },
+      function(next) {
+        Utxo.deleteMany({txid: {$in: txids}}, next);
+      },
+      function(next) {
+        Utxo.updateMany({spent_txid: {$in: txids}}, {
+          $set: {
+            spent: false,
+            spent_txid: null,
+            spent_height: null,
+          }
+        }, next);
+      },
+      function(next) {
+        Block.deleteMany({height: {$gt: fork_height}}, next);
+      },
+      function(next) {
+        // rolled up again from the fork by update_daily_stats
+        if (first_time === null) {
+          return next();
+        }
+        Daily.deleteMany({time: {$gte: first_time - (first_time % 86400)}}, next);
+      },
+      function(next) {
+        // pending txs may spend orphaned outputs, update_mempool refills
+        // the collection from the node's pool
+        Mempool.deleteMany({}, next);
+      },
+      function(next) {
+        Stats.updateOne({coin: coin}, {
+          last: fork_height,
+        }, next);
+      },
+      function(next) {
+        Tx.deleteMany({txid: {$in: txids}}, next);
+      },
+    ];
+    async.series(steps, function(err) {
+      if (err) {
+        return cb(err);
+      }
+      var newReorg = new Reorg({
+        coin: coin,
+        fork_height: fork_height,
+        tip_height: tip_height,
+        orphaned: orphaned,
+        txs_removed: txs.length,
+      });
+      newReorg.save(function(err) {
+        if (err) {
+          console.log(err);
+        }
+        console.log('rolled back %s blocks (%s txs) to block %s', orphaned.length, txs.length, fork_height);
+        return cb(null);
+      });
+    });
+  });
+}
+
+// compares the highest indexed block with the node and rolls back
+// orphaned blocks if they differ. cb(err, fork_height), fork_height null if
+// no reorg was found. an error means the rollback did not finish and the
+// index must not be built on until it is retried.
+function check_reorg(coin, cb) {
+  Tx.findOne({}, 'blockindex blockhash').sort({blockindex: -1}).exec(function(err, tip) {
+    if (!tip) {
+      return cb(null, null);
+    }
+    find_fork_height(tip.blockindex, function(fork_height) {
+      if (fork_height === null || fork_height == tip.blockindex) {
+        return cb(null, null);
+      }
+      console.log('reorg detected: index diverges from node after block %s', fork_height);
+      rollback_blocks(coin, fork_height, tip.blockindex, function(err) {
+        if (err) {
+          return cb(err);
+        }
+        return cb(null, fork_height);
+      });
+    });
+  });
+}
+
 function get_market_data(market, cb) {
   if(fs.existsSync('./lib/markets/' + market + '.js')){
     exMarket = require('./markets/' + market);
@@ -171,6 +896,20 @@ function get_market_data(market, cb) {
   }
 }
 
+// records sync progress in the stats document (see get_sync_status)
+function save_sync_status(coin, status, cb) {
+  var update = {'sync.updated': new Date()};
+  for (var key in status) {
+    update['sync.' + key] = status[key];
+  }
+  Stats.updateOne({coin: coin}, {$set: update}, function(err) {
+    if (err) {
+      console.log(err);
+    }
+    return cb();
+  });
+}
+
 function create_lock(lockfile, cb) {
   if (settings.lock_during_index == true) {
     var fname = './tmp/' + lockfile + '.pid';
@@ -243,16 +982,102 @@ module.exports = {
     });
   },
 
-  update_label: function(hash, message, cb){
-    find_address(hash, function(address){
-      if(address){
-        Address.updateOne({a_id:hash}, {
-          name: message,
-        }, function(){
-          return cb();
-        })
+  // issues a one-time message for hash to be signed by its owner.
+  // cb(error, {address, nonce, message, expires}), at most max_challenges
+  // per ip every window seconds
+  create_claim_challenge: function(hash, ip, cb) {
+    var options = claim_options();
+    find_address(hash, function(address) {
+      if (!address) {
+        return cb('address not found.');
       }
-    })
+      var since = new Date(Date.now() - options.window * 1000);
+      Challenge.countDocuments({ip: ip, created: {$gte: since}}, function(err, count) {
+        if (err) {
+          console.log(err);
+          return cb('unable to create a claim challenge.');
+        }
+        if (count >= options.max_challenges) {
+          return cb('too many claim requests, try again later.');
+        }
+        var nonce = crypto.randomBytes(16).toString('hex');
+        var expires = Math.floor(Date.now() / 1000) + options.expiry;
+        var message = lib.claim_message(hash, nonce, expires);
+        Challenge.create({
+          a_id: hash,
+          nonce: nonce,
+          message: message,
+          ip: ip,
+          expires: new Date(expires * 1000),
+        }, function(err) {
+          if (err) {
+            console.log(err);
+            return cb('unable to create a claim challenge.');
+          }
+          return cb(null, {address: hash, nonce: nonce, message: message, expires: expires});
+        });
+      });
+    });
+  },
+
+  // names hash after label once signature checks out against the message of
+  // an unused, unexpired challenge. each challenge allows max_attempts
+  // checks and a single successful claim. cb(error, name)
+  claim_address: function(hash, nonce, signature, label, ip, cb) {
+    var options = claim_options();
+    var name = lib.sanitize_label(label, options.max_length);
+    if (!name) {
+      return cb('label required.');
+    }
+    if (typeof nonce !== 'string' || typeof signature !== 'string' || !signature) {
+      return cb('challenge and signature required.');
+    }
+    var expired = 'challenge expired or already used, request a new one.';
+    Challenge.findOneAndUpdate({
+      a_id: hash,
+      nonce: nonce,
+      used: false,
+      expires: {$gt: new Date()},
+      attempts: {$lt: options.max_attempts},
+    }, {$inc: {attempts: 1}}, {new: true}, function(err, challenge) {
+      if (err || !challenge) {
+        return cb(expired);
+      }
+      lib.verify_message(hash, signature, challenge.message, function(valid) {
+        if (!valid) {
+          return cb('signature does not match the challenge message.');
+        }
+        Challenge.findOneAndUpdate({_id: challenge._id, used: false}, {$set: {used: true}}, function(err, unused) {
+          if (err || !unused) {
+            return cb(expired);
+          }
+          find_address(hash, function(address) {
+            if (!address) {
+              return cb('address not found.');
+            }
+            Address.updateOne({a_id: hash}, {$set: {name: name}}, function(err) {
+              if (err) {
+                console.log(err);
+                return cb('unable to save the claim.');
+              }
+              Claim.create({a_id: hash, name: name, previous: address.name || '', nonce: nonce, ip: ip}, function(err) {
+                if (err) {
+                  console.log(err);
+                }
+                return cb(null, name);
+              });
+            });
+          });
+        });
+      });
+    });
+  },
+
+  // latest claims of hash, newest first
+  get_claims: function(hash, count, cb) {
+    Claim.find({a_id: hash}, {_id: 0, name: 1, previous: 1, time: 1}).sort({time: -1}).limit(count).exec(function(err, claims) {
+      return cb(err ? [] : claims);
+    });
   },
 
   check_stats: function(coin, cb) {
@@ -275,6 +1100,75 @@ module.exports = {
     });
   },
 
+  // the network summary shown in the page header and on the home page
+  get_summary: function(cb) {
+    var self = this;
+    lib.get_difficulty(function(difficulty) {
+      var difficultyHybrid = '';
+      if (difficulty['proof-of-work']) {
+        if (settings.index.difficulty == 'Hybrid') {
+          difficultyHybrid = 'POS: ' + difficulty['proof-of-stake'];
+          difficulty = 'POW: ' + difficulty['proof-of-work'];
+        } else if (settings.index.difficulty == 'POW') {
+          difficulty = difficulty['proof-of-work'];
+        } else {
+          difficulty = difficulty['proof-of-stake'];
+        }
+      }
+      lib.get_hashrate(function(hashrate) {
+        lib.get_connectioncount(function(connections){
+          lib.get_blockcount(function(blockcount) {
+            self.get_stats(settings.coin, function (stats) {
+              if (hashrate == 'There was an error. Check your console.') {
+                hashrate = 0;
+              }
+              return cb({
+                difficulty: difficulty,
+                difficultyHybrid: difficultyHybrid,
+                supply: stats ? stats.supply : 0,
+                hashrate: hashrate,
+                lastPrice: stats ? stats.last_price : 0,
+                connections: connections,
+                blockcount: blockcount
+              });
+            });
+          });
+        });
+      });
+    });
+  },
+
+  // publishes the current summary to the live feed
+  publish_summary: function(cb) {
+    this.get_summary(function(summary) {
+      live.publish('summary', summary, cb);
+    });
+  },
+
+  // progress of the current (or last) sync, percent is of the target height
+  get_sync_status: function(coin, cb) {
+    Stats.findOne({coin: coin}, function(err, stats) {
+      if (!stats) {
+        return cb(null);
+      }
+      var sync = stats.sync || {};
+      var target = sync.target || stats.count;
+      var height = sync.running ? sync.height : stats.last;
+      return cb({
+        running: sync.running == true,
+        mode: sync.mode || '',
+        start_height: sync.start_height || 0,
+        height: height,
+        target: target,
+        percent: target > 0 ? Math.min(100, parseFloat((height / target * 100).toFixed(2))) : 0,
+        blocks_per_second: sync.blocks_per_second || 0,
+        eta: sync.running ? sync.eta : 0,
+        started: sync.started || null,
+        updated: sync.updated || null,
+      });
+    });
+  },
+
   create_stats: function(coin, cb) {
     var newStats = new Stats({
       coin: coin,
@@ -299,6 +1193,91 @@ module.exports = {
     });
   },
 
+  // the cluster of hash: {address, cluster, size, balance, addresses} where
+  // addresses is a page of [{a_id, balance, ...}] largest balance first.
+  // an address never co-spent is its own cluster of one. cb(null) if unknown
+  get_cluster: function(hash, start, length, cb) {
+    find_address(hash, function(address) {
+      if (!address) {
+        return cb(null);
+      }
+      if (!address.cluster) {
+        return cb({
+          address: hash,
+          cluster: null,
+          size: 1,
+          balance: address.balance,
+          addresses: start > 0 ? [] : [address],
+        });
+      }
+      Address.aggregate([
+        {$match: {cluster: address.cluster}},
+        {$group: {_id: null, size: {$sum: 1}, balance: {$sum: '$balance'}}},
+      ], function(err, totals) {
+        if (err || totals.length < 1) {
+          return cb(null);
+        }
+        Address.find({cluster: address.cluster}, {_id: 0, a_id: 1, balance: 1, received: 1, sent: 1, name: 1})
+          .sort({balance: -1}).skip(start).limit(length).exec(function(err, addresses) {
+          return cb({
+            address: hash,
+            cluster: address.cluster,
+            size: totals[0].size,
+            balance: totals[0].balance,
+            addresses: err ? [] : addresses,
+          });
+        });
+      });
+    });
+  },
+
+  // where the value of txid went (forward) or came from (backward), see
+  // lib/explorer trace. tx nodes get the time, height and total of the
+  // indexed tx. cb(null) if txid is not indexed
+  trace: function(txid, direction, hops, threshold, max_txs, cb) {
+    find_tx(txid, function(tx) {
+      if (!tx) {
+        return cb(null);
+      }
+      var fetch = function(txids, next) {
+        var filter = {amount: {$gte: threshold}};
+        if (direction == 'backward') {
+          filter.spent_txid = {$in: txids};
+        } else {
+          filter.txid = {$in: txids};
+        }
+        Utxo.find(filter, {_id: 0, txid: 1, n: 1, address: 1, amount: 1, spent_txid: 1}).lean().exec(function(err, outpoints) {
+          if (err) {
+            console.log(err);
+          }
+          return next(err ? [] : outpoints);
+        });
+      };
+      lib.trace(txid, direction, hops, threshold, max_txs, fetch, function(graph) {
+        var txids = graph.nodes.filter(function(node) {
+          return node.type == 'tx';
+        }).map(function(node) {
+          return node.txid;
+        });
+        Tx.find({txid: {$in: txids}}, 'txid timestamp blockindex total type').lean().exec(function(err, txs) {
+          var found = {};
+          for (var i = 0; !err && i < txs.length; i++) {
+            found[txs[i].txid] = txs[i];
+          }
+          graph.nodes.forEach(function(node) {
+            if (node.type == 'tx' && found[node.txid]) {
+              node.timestamp = found[node.txid].timestamp;
+              node.height = found[node.txid].blockindex;
+              node.total = found[node.txid].total;
+              node.tx_type = found[node.txid].type;
+            }
+          });
+          return cb(graph);
+        });
+      });
+    });
+  },
+
   get_richlist: function(coin, cb) {
     find_richlist(coin, function(richlist){
       return cb(richlist);
@@ -306,23 +1285,56 @@ module.exports = {
   },
   //property: 'received' or 'balance'
   update_richlist: function(list, cb){
-    if(list == 'received') {
-      Address.find({}, 'a_id balance received name').sort({received: 'desc'}).limit(100).exec(function(err, addresses){
-        Richlist.updateOne({coin: settings.coin}, {
-          received: addresses,
-        }, function() {
+    var options = settings.richlist || {};
+    var excluded = options.excluded || [];
+    var depth = parseInt(options.depth) || 100;
+    var sort = list == 'received' ? {received: 'desc'} : {balance: 'desc'};
+    Address.find({}, 'a_id balance received name').sort(sort).limit(depth + excluded.length).lean().exec(function(err, addresses){
+      if (err) {
+        console.log(err);
+        return cb();
+      }
+      var update = {};
+      update[list == 'received' ? 'received' : 'balance'] = lib.rank_richlist(addresses, excluded);
+      if (list == 'received') {
+        return Richlist.updateOne({coin: settings.coin}, update, function() {
           return cb();
         });
-      });
-    } else { //balance
-      Address.find({}, 'a_id balance received name').sort({balance: 'desc'}).limit(100).exec(function(err, addresses){
-        Richlist.updateOne({coin: settings.coin}, {
-          balance: addresses,
-        }, function() {
-          return cb();
+      }
+      Address.aggregate([
+        { $match: { a_id: { $in: excluded } } },
+        { $group: { _id: null, balance: { $sum: '$balance' } } }
+      ]).exec(function(err, held) {
+        update.excluded_balance = (held && held.length) ? held[0].balance : 0;
+        compute_distribution(excluded, function(distribution) {
+          if (distribution) {
+            update.distribution = distribution;
+          }
+          Richlist.updateOne({coin: settings.coin}, update, function() {
+            return cb();
+          });
         });
       });
-    }
+    });
+  },
+
+  // a page of the stored richlist, search matches address or name.
+  // cb(entries, total, filtered, excluded_balance)
+  get_richlist_ajax: function(list, start, length, search, cb) {
+    find_richlist(settings.coin, function(richlist) {
+      if (!richlist) {
+        return cb([], 0, 0, 0);
+      }
+      var entries = richlist[list] || [];
+      var filtered = entries;
+      if (search) {
+        var term = search.toLowerCase();
+        filtered = entries.filter(function(entry) {
+          return entry.a_id.toLowerCase().indexOf(term) > -1 || (entry.name || '').toLowerCase().indexOf(term) > -1;
+        });
+      }
+      return cb(filtered.slice(start, start + length), entries.length, filtered.length, richlist.excluded_balance || 0);
+    });
   },
 
   get_tx: function(txid, cb) {
@@ -371,9 +1383,18 @@ module.exports = {
     });
   },
 
-  get_last_txs_ajax: function(start, length, min, cb) {
-    Tx.find({'total': {$gte: min}}).count(function(err, count){
-      Tx.find({'total': {$gte: min}}).sort({blockindex: -1}).skip(Number(start)).limit(Number(length)).exec(function(err, txs){
+  // types is an optional list of tx types to include
+  get_last_txs_ajax: function(start, length, min, types, cb) {
+    if (typeof types === 'function') {
+      cb = types;
+      types = null;
+    }
+    var query = {'total': {$gte: min}};
+    if (types && types.length) {
+      query.type = {$in: types};
+    }
+    Tx.find(query).count(function(err, count){
+      Tx.find(query).sort({blockindex: -1}).skip(Number(start)).limit(Number(length)).exec(function(err, txs){
         if (err) {
           return cb(err);
         } else {
@@ -383,6 +1404,284 @@ module.exports = {
     });
   },
 
+  // filter: {height_from, height_to, time_from, time_to}
+  get_blocks_ajax: function(start, length, filter, cb) {
+    var query = {};
+    if (filter.height_from != null || filter.height_to != null) {
+      query.height = {};
+      if (filter.height_from != null) { query.height.$gte = filter.height_from; }
+      if (filter.height_to != null) { query.height.$lte = filter.height_to; }
+    }
+    if (filter.time_from != null || filter.time_to != null) {
+      query.time = {};
+      if (filter.time_from != null) { query.time.$gte = filter.time_from; }
+      if (filter.time_to != null) { query.time.$lte = filter.time_to; }
+    }
+    Block.countDocuments(query, function(err, count){
+      Block.find(query).sort({height: -1}).skip(Number(start)).limit(Number(length)).exec(function(err, blocks){
+        if (err) {
+          return cb(err);
+        } else {
+          return cb(blocks, count);
+        }
+      });
+    });
+  },
+
+  // unspent outputs of an address, newest first
+  get_utxos: function(hash, cb) {
+    Utxo.find({address: hash, spent: false}).sort({height: -1}).exec(function(err, utxos) {
+      if (err) {
+        return cb([]);
+      } else {
+        return cb(utxos);
+      }
+    });
+  },
+
+  // outputs and value per day and scriptPubKey type for txs in [from, to)
+  get_script_type_stats: function(from, to, cb) {
+    Tx.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to } } },
+      { $unwind: '$script_types' },
+      { $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: { $add: [new Date(0), { $multiply: ['$timestamp', 1000] }] } } },
+          type: '$script_types.type'
+        },
+        count: { $sum: '$script_types.count' },
+        value: { $sum: '$script_types.value' }
+      } },
+      { $sort: { '_id.date': 1, '_id.type': 1 } }
+    ]).allowDiskUse(true).exec(function(err, rows) {
+      if (err) {
+        console.log(err);
+        return cb([]);
+      }
+      var days = [];
+      for (var i = 0; i < rows.length; i++) {
+        if (!days.length || days[days.length - 1].date != rows[i]._id.date) {
+          days.push({date: rows[i]._id.date, types: {}});
+        }
+        days[days.length - 1].types[rows[i]._id.type] = {count: rows[i].count, value: rows[i].value};
+      }
+      return cb(days);
+    });
+  },
+
+  // rebuilds the daily rollups from the last stored day (which may have been
+  // partial) up to the day of the newest indexed block
+  update_daily_stats: function(cb) {
+    Daily.findOne({}, 'time').sort({time: -1}).exec(function(err, last_day) {
+      Block.findOne({}, 'time').sort({height: 1}).exec(function(err2, oldest) {
+        Block.findOne({}, 'time').sort({height: -1}).exec(function(err3, newest) {
+          if (err || err2 || err3 || !oldest || !newest) {
+            return cb();
+          }
+          var start = oldest.time - (oldest.time % 86400);
+          if (last_day && last_day.time > start) {
+            start = last_day.time;
+          }
+          var end = newest.time - (newest.time % 86400);
+          var days = Math.floor((end - start) / 86400) + 1;
+          lib.syncLoop(days, function(loop) {
+            save_day(start + (loop.iteration() * 86400), function(err) {
+              if (err) {
+                console.log(err);
+                loop.break(true);
+              }
+              loop.next();
+            });
+          }, function() {
+            return cb();
+          });
+        });
+      });
+    });
+  },
+
+  // [[date, value]] of a daily rollup metric between from and to
+  get_chart_data: function(metric, from, to, cb) {
+    var fields = {date: 1, time: 1};
+    fields[metric] = 1;
+    Daily.find({time: {$gte: from, $lt: to}}, fields).sort({time: 1}).lean().exec(function(err, days) {
+      if (err) {
+        console.log(err);
+        return cb([]);
+      }
+      return cb(days.map(function(day) {
+        return [day.date, day[metric] || 0];
+      }));
+    });
+  },
+
+  // balance (satoshis) and tx count of an address after block height
+  get_balance_at: function(hash, height, cb) {
+    AddressTx.aggregate([
+      { $match: { a_id: hash, blockindex: { $lte: height } } },
+      { $group: { _id: null, balance: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]).exec(function(err, result) {
+      if (err) {
+        console.log(err);
+        return cb(null);
+      }
+      return cb(result.length ? {balance: result[0].balance, txcount: result[0].count} : {balance: 0, txcount: 0});
+    });
+  },
+
+  // height of the last indexed block mined at or before time, -1 if none
+  get_height_at: function(time, cb) {
+    Block.findOne({time: {$lte: time}}, 'height').sort({height: -1}).exec(function(err, block) {
+      if (err || !block) {
+        return cb(-1);
+      }
+      return cb(block.height);
+    });
+  },
+
+  // running balance of an address per block it appears in, with block times
+  get_balance_history: function(hash, max_points, cb) {
+    AddressTx.aggregate([
+      { $match: { a_id: hash } },
+      { $group: { _id: '$blockindex', amount: { $sum: '$amount' } } },
+      { $sort: { _id: 1 } }
+    ]).allowDiskUse(true).exec(function(err, rows) {
+      if (err) {
+        console.log(err);
+        return cb([]);
+      }
+      var points = lib.get_balance_history(rows.map(function(row) {
+        return {height: row._id, amount: row.amount};
+      }), max_points);
+      var heights = points.map(function(point) {
+        return point.height;
+      });
+      Block.find({height: {$in: heights}}, 'height time').lean().exec(function(err, blocks) {
+        var times = {};
+        for (var i = 0; i < (blocks || []).length; i++) {
+          times[blocks[i].height] = blocks[i].time;
+        }
+        for (var p = 0; p < points.length; p++) {
+          points[p].time = times[points[p].height] || null;
+        }
+        return cb(points);
+      });
+    });
+  },
+
+  // per day count, total, average and median fee (satoshis) and fee rate
+  // (satoshis per byte) of the regular txs between from and to
+  get_fee_stats: function(from, to, cb) {
+    Tx.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to }, type: 'regular' } },
+      { $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: { $add: [new Date(0), { $multiply: ['$timestamp', 1000] }] } } },
+        count: { $sum: 1 },
+        fees: { $sum: '$fee' },
+        avg_fee_rate: { $avg: '$fee_rate' },
+        min_fee_rate: { $min: '$fee_rate' },
+        max_fee_rate: { $max: '$fee_rate' },
+        fee_list: { $push: '$fee' },
+        rate_list: { $push: '$fee_rate' }
+      } },
+      { $sort: { _id: 1 } }
+    ]).allowDiskUse(true).exec(function(err, rows) {
+      if (err) {
+        console.log(err);
+        return cb([]);
+      }
+      var days = [];
+      for (var i = 0; i < rows.length; i++) {
+        var medians = lib.get_fee_summary(rows[i].fee_list.map(function(fee, n) {
+          return {fee: fee, fee_rate: rows[i].rate_list[n]};
+        }));
+        days.push({
+          date: rows[i]._id,
+          count: rows[i].count,
+          fees: rows[i].fees,
+          avg_fee: Math.round(rows[i].fees / rows[i].count),
+          median_fee: medians.median_fee,
+          avg_fee_rate: Math.round(rows[i].avg_fee_rate * 1000) / 1000,
+          median_fee_rate: medians.median_fee_rate,
+          min_fee_rate: rows[i].min_fee_rate,
+          max_fee_rate: rows[i].max_fee_rate,
+        });
+      }
+      return cb(days);
+    });
+  },
+
+  // txs with an OP_RETURN payload starting with hex, newest first
+  search_op_return: function(hex, limit, cb) {
+    Tx.find({'op_return.hex': new RegExp('^' + hex.toLowerCase())}, 'txid blockindex timestamp op_return')
+      .sort({blockindex: -1}).limit(limit).exec(function(err, txs) {
+      if (err) {
+        return cb([]);
+      } else {
+        return cb(txs);
+      }
+    });
+  },
+
+  get_mempool: function(cb) {
+    Mempool.find({}).sort({timestamp: -1}).exec(function(err, txs) {
+      if (err) {
+        return cb([]);
+      } else {
+        return cb(txs);
+      }
+    });
+  },
+
+  get_address_mempool: function(hash, cb) {
+    Mempool.find({addresses: hash}).sort({timestamp: -1}).exec(function(err, txs) {
+      if (err) {
+        return cb([]);
+      } else {
+        return cb(txs);
+      }
+    });
+  },
+
+  // syncs the mempool collection with the node: mined or evicted txs are
+  // removed and new ones decoded and stored. changes are published to the
+  // live feed as a mempool event
+  update_mempool: function(cb) {
+    lib.get_rawmempool(function(pool) {
+      if (!pool || typeof pool !== 'object') {
+        console.log('unable to get mempool: %s', pool);
+        return cb();
+      }
+      var txids = Object.keys(pool);
+      Mempool.deleteMany({txid: {$nin: txids}}, function(err, removed) {
+        if (err) {
+          console.log(err);
+          return cb();
+        }
+        Mempool.find({}, 'txid').lean().exec(function(err, known) {
+          var stored = {};
+          for (var i = 0; i < (known || []).length; i++) {
+            stored[known[i].txid] = true;
+          }
+          var added = txids.filter(function(txid) {
+            return !stored[txid];
+          });
+          async.eachLimit(added, 1, function(txid, next_tx) {
+            save_mempool_tx(txid, pool[txid], function() {
+              next_tx();
+            });
+          }, function() {
+            removed = removed ? removed.deletedCount : 0;
+            if (added.length < 1 && removed < 1) {
+              return cb();
+            }
+            live.publish('mempool', {count: txids.length, added: added.length, removed: removed}, cb);
+          });
+        });
+      });
+    });
+  },
+
   get_address_txs_ajax: function(hash, start, length, cb) {
     var totalCount = 0;
     AddressTx.find({a_id: hash}).count(function(err, count){
@@ -561,48 +1860,37 @@ module.exports = {
       }
     });
   },
+  // the distribution stored by update_richlist with amounts in coins. until
+  // the next richlist update it falls back to the stored top addresses.
   get_distribution: function(richlist, stats, cb){
-    var distribution = {
-      supply: stats.supply,
-      t_1_25: {percent: 0, total: 0 },
-      t_26_50: {percent: 0, total: 0 },
-      t_51_75: {percent: 0, total: 0 },
-      t_76_100: {percent: 0, total: 0 },
-      t_101plus: {percent: 0, total: 0 }
+    var dist = richlist ? richlist.distribution : null;
+    if (!dist) {
+      var options = distribution_options();
+      var balances = (richlist ? richlist.balance : []).filter(function(entry) {
+        return entry.excluded !== true;
+      }).map(function(entry) {
+        return entry.balance;
+      });
+      dist = lib.get_distribution_stats(balances, options.rank_buckets, options.balance_buckets, options.concentration);
+    }
+    var format = function(bucket) {
+      return {
+        from: bucket.from,
+        to: bucket.to,
+        count: bucket.count,
+        total: parseFloat((bucket.total / 100000000).toFixed(8)),
+        percent: parseFloat(bucket.percent.toFixed(2)),
+      };
     };
-    lib.syncLoop(richlist.balance.length, function (loop) {
-      var i = loop.iteration();
-      var count = i + 1;
-      var percentage = ((richlist.balance[i].balance / 100000000) / stats.supply) * 100;
-      if (count <= 25 ) {
-        distribution.t_1_25.percent = distribution.t_1_25.percent + percentage;
-        distribution.t_1_25.total = distribution.t_1_25.total + (richlist.balance[i].balance / 100000000);
-      }
-      if (count <= 50 && count > 25) {
-        distribution.t_26_50.percent = distribution.t_26_50.percent + percentage;
-        distribution.t_26_50.total = distribution.t_26_50.total + (richlist.balance[i].balance / 100000000);
-      }
-      if (count <= 75 && count > 50) {
-        distribution.t_51_75.percent = distribution.t_51_75.percent + percentage;
-        distribution.t_51_75.total = distribution.t_51_75.total + (richlist.balance[i].balance / 100000000);
-      }
-      if (count <= 100 && count > 75) {
-        distribution.t_76_100.percent = distribution.t_76_100.percent + percentage;
-        distribution.t_76_100.total = distribution.t_76_100.total + (richlist.balance[i].balance / 100000000);
-      }
-      loop.next();
-    }, function(){
-      distribution.t_101plus.percent = parseFloat(100 - distribution.t_76_100.percent - distribution.t_51_75.percent - distribution.t_26_50.percent - distribution.t_1_25.percent).toFixed(2);
-      distribution.t_101plus.total = parseFloat(distribution.supply - distribution.t_76_100.total - distribution.t_51_75.total - distribution.t_26_50.total - distribution.t_1_25.total).toFixed(8);
-      distribution.t_1_25.percent = parseFloat(distribution.t_1_25.percent).toFixed(2);
-      distribution.t_1_25.total = parseFloat(distribution.t_1_25.total).toFixed(8);
-      distribution.t_26_50.percent = parseFloat(distribution.t_26_50.percent).toFixed(2);
-      distribution.t_26_50.total = parseFloat(distribution.t_26_50.total).toFixed(8);
-      distribution.t_51_75.percent = parseFloat(distribution.t_51_75.percent).toFixed(2);
-      distribution.t_51_75.total = parseFloat(distribution.t_51_75.total).toFixed(8);
-      distribution.t_76_100.percent = parseFloat(distribution.t_76_100.percent).toFixed(2);
-      distribution.t_76_100.total = parseFloat(distribution.t_76_100.total).toFixed(8);
-      return cb(distribution);
+    return cb({
+      supply: stats ? stats.supply : 0,
+      addresses: dist.addresses,
+      total: parseFloat((dist.total / 100000000).toFixed(8)),
+      excluded: parseFloat((((richlist && richlist.excluded_balance) || 0) / 100000000).toFixed(8)),
+      gini: dist.gini,
+      nakamoto: dist.nakamoto,
+      rank_buckets: dist.rank_buckets.map(format),
+      balance_buckets: dist.balance_buckets.map(format),
     });
   },
   // updates heavy stats for coin
@@ -713,82 +2001,172 @@ module.exports = {
   },
 
   // updates tx, address & richlist db's; called by sync.js
-  update_tx_db: function(coin, start, end, timeout, cb) {
+  // mode is optional and only used for the sync status (defaults to 'update').
+  // cb(err) is only given an error when a reorg could not be rolled back
+  update_tx_db: function(coin, start, end, timeout, mode, cb) {
+    if (typeof mode === 'function') {
+      cb = mode;
+      mode = 'update';
+    }
     is_locked("db_index", function (exists) {
       if (exists) {
         console.log("db_index lock file exists...");
         return cb();
       } else {
         create_lock("db_index", function (){
-          if (start < 1) { start = 1; }
-          var complete = false;
-          var blocks_to_scan = [];
-          var task_limit_blocks = settings.block_parallel_tasks;
-          if (task_limit_blocks < 1) { task_limit_blocks = 1; }
-          var task_limit_txs = 1;
-          for (i=start; i<(end+1); i++) {
-            blocks_to_scan.push(i);
-          }
-          async.eachLimit(blocks_to_scan, task_limit_blocks, function(block_height, next_block) {
-            if (block_height % 5000 === 0) {
-              Stats.updateOne({coin: coin}, {
-                last: block_height - 1,
-                last_txs: '' //not used anymore left to clear out existing objects
-              }, function() {});
+          check_reorg(coin, function(err, fork_height) {
+            if (err) {
+              console.log('sync stopped, unable to roll back orphaned blocks: %s', err);
+              return remove_lock("db_index", function(){
+                return cb(err);
+              });
             }
-            lib.get_blockhash(block_height, function(blockhash){
-              if (blockhash) {
-                lib.get_block(blockhash, function(block) {
-                  if (block) {
-                    async.eachLimit(block.tx, task_limit_txs, function(txid, next_tx) {
-                      Tx.findOne({txid: txid}, function(err, tx) {
-                        if(tx) {
-                          setTimeout( function(){
-                            tx = null;
-                            next_tx();
-                          }, timeout);
-                        } else {
-                          save_tx(txid, block_height, function(err){
-                            if (err) {
-                              console.log(err);
-                            } else {
-                              console.log('%s: %s', block_height, txid);
-                            }
+            // start is the last committed block, replayed in case it was
+            // interrupted. it is only announced (webhooks, live feed) once
+            var committed = start;
+            if (fork_height !== null && fork_height + 1 < start) { start = fork_height + 1; committed = fork_height; }
+            if (start < 1) { start = 1; }
+            var complete = false;
+            var blocks_to_scan = [];
+            var task_limit_blocks = settings.block_parallel_tasks;
+            if (task_limit_blocks < 1) { task_limit_blocks = 1; }
+            var task_limit_txs = 1;
+            for (i=start; i<(end+1); i++) {
+              blocks_to_scan.push(i);
+            }
+            var started = new Date().getTime();
+            var last_status = started;
+            var blocks_done = 0;
+            var blocks_per_second = function() {
+              var seconds = (new Date().getTime() - started) / 1000;
+              return seconds > 0 ? parseFloat((blocks_done / seconds).toFixed(2)) : 0;
+            };
+            save_sync_status(coin, {
+              running: true,
+              mode: mode,
+              start_height: start,
+              height: start - 1,
+              target: end,
+              blocks_per_second: 0,
+              eta: 0,
+              started: new Date(started),
+            }, function() {});
+            // blocks are fetched in parallel but committed one at a time in
+            // height order, so Stats.last always marks the last complete block
+            var pending_commits = {};
+            var next_commit = start;
+            var committing = false;
+            var commit_failed = false;
+            var commit_next = function() {
+              if (committing || commit_failed || !pending_commits[next_commit]) {
+                return;
+              }
+              var pending = pending_commits[next_commit];
+              delete pending_commits[next_commit];
+              committing = true;
+              var notify = (mode == 'update' || mode == 'watch') && next_commit > committed;
+              commit_block(coin, next_commit, pending.batch, pending.block, notify, function(err) {
+                committing = false;
+                if (err) {
+                  commit_failed = true;
+                  console.log('unable to commit block %s: %s', next_commit, err);
+                  return pending.done(err);
+                }
+                next_commit++;
+                pending.done(null);
+                commit_next();
+              });
+            };
+            var queue_commit = function(height, batch, block, done) {
+              pending_commits[height] = {batch: batch, block: block, done: done};
+              commit_next();
+            };
+            async.eachLimit(blocks_to_scan, task_limit_blocks, function(block_height, block_done) {
+              var next_block = function(err) {
+                blocks_done++;
+                if (new Date().getTime() - last_status >= 5000) {
+                  last_status = new Date().getTime();
+                  var bps = blocks_per_second();
+                  var height = start + blocks_done - 1;
+                  save_sync_status(coin, {
+                    height: height,
+                    blocks_per_second: bps,
+                    eta: bps > 0 ? Math.round((end - height) / bps) : 0,
+                  }, function() {});
+                }
+                block_done(err);
+              };
+              lib.get_blockhash(block_height, function(blockhash){
+                if (blockhash) {
+                  lib.get_block(blockhash, function(block) {
+                    if (block) {
+                      var batch = new_batch(block_height);
+                      async.eachLimit(block.tx, task_limit_txs, function(txid, next_tx) {
+                        Tx.findOne({txid: txid}, function(err, tx) {
+                          if(tx) {
                             setTimeout( function(){
                               tx = null;
                               next_tx();
                             }, timeout);
-                          });
-                        }
+                          } else {
+                            prepare_tx(txid, block_height, batch, function(err){
+                              if (err) {
+                                console.log(err);
+                              } else {
+                                console.log('%s: %s', block_height, txid);
+                              }
+                              setTimeout( function(){
+                                tx = null;
+                                next_tx();
+                              }, timeout);
+                            });
+                          }
+                        });
+                      }, function(){
+                        queue_commit(block_height, batch, block, function(err){
+                          batch = null;
+                          setTimeout( function(){
+                            blockhash = null;
+                            block = null;
+                            next_block(err);
+                          }, timeout);
+                        });
                       });
-                    }, function(){
-                      setTimeout( function(){
-                        blockhash = null;
-                        block = null;
-                        next_block();
-                      }, timeout);
-                    });
-                  } else {
-                    console.log('block not found: %s', blockhash);
+                    } else {
+                      console.log('block not found: %s', blockhash);
+                      queue_commit(block_height, new_batch(block_height), null, function(err){
+                        setTimeout( function(){
+                          next_block(err);
+                        }, timeout);
+                      });
+                    }
+                  });
+                } else {
+                  queue_commit(block_height, new_batch(block_height), null, function(err){
                     setTimeout( function(){
-                      next_block();
+                      next_block(err);
                     }, timeout);
-                  }
-                });
-              } else {
-                setTimeout( function(){
-                  next_block();
-                }, timeout);
+                  });
+                }
+              });
+            }, function(err){
+              var synced = blocks_to_scan.length > 0 ? next_commit - 1 : end;
+              if (err) {
+                console.log('sync stopped, index is complete up to block %s', synced);
               }
-            });
-          }, function(){
-            Tx.find({}).sort({timestamp: 'desc'}).limit(settings.index.last_txs).exec(function(err, txs){
               Stats.updateOne({coin: coin}, {
-                last: end,
+                last: synced,
                 last_txs: '' //not used anymore left to clear out existing objects
               }, function() {
-                remove_lock("db_index", function(){
-                  return cb();
+                save_sync_status(coin, {
+                  running: false,
+                  height: synced,
+                  blocks_per_second: blocks_per_second(),
+                  eta: 0,
+                }, function() {
+                  remove_lock("db_index", function(){
+                    return cb();
+                  });
                 });
               });
             });
@@ -1,7 +1,9 @@
 const request = require('request');
 const settings = require('./settings');
 const Address = require('../models/address');
+const Utxo = require('../models/utxo');
 const Client = require('bitcoin-core');
+const crypto = require('crypto');
 
 const client = new Client(settings.wallet);
 const base_url = 'http://127.0.0.1:' + settings.port + '/api/';
@@ -26,6 +28,64 @@ function coinbase_supply(cb) {
   });
 }
 
+// Bounded cache of recently seen tx outputs, keyed by txid. Map keeps
+// insertion order so the first key is always the least recently used.
+var tx_cache = new Map();
+var input_lookups = { cache: 0, index: 0, rpc: 0 };
+
+function cache_tx(tx) {
+  if (!settings.tx_cache_size || !tx || !tx.txid || !Array.isArray(tx.vout)) {
+    return;
+  }
+  var outputs = {};
+  for (var i = 0; i < tx.vout.length; i++) {
+    outputs[tx.vout[i].n] = tx.vout[i];
+  }
+  tx_cache.delete(tx.txid);
+  tx_cache.set(tx.txid, outputs);
+  if (tx_cache.size > settings.tx_cache_size) {
+    tx_cache.delete(tx_cache.keys().next().value);
+  }
+}
+
+function cached_output(txid, n) {
+  var outputs = tx_cache.get(txid);
+  if (!outputs) {
+    return null;
+  }
+  tx_cache.delete(txid);
+  tx_cache.set(txid, outputs);
+  return outputs[n] || null;
+}
+
+// sum of the raw (decoded) outputs of a tx in satoshis
+function raw_output_total(vout) {
+  var total = 0;
+  for (var i = 0; i < vout.length; i++) {
+    total += parseInt(parseFloat(vout[i].value || 0).toFixed(8).replace('.', ''), 10) || 0;
+  }
+  return total;
+}
+
+function sum_amounts(list) {
+  var total = 0;
+  for (var i = 0; i < (list || []).length; i++) {
+    total += list[i].amount;
+  }
+  return total;
+}
+
+function median(values) {
+  if (!values.length) {
+    return 0;
+  }
+  var sorted = values.slice().sort(function(a, b) {
+    return a - b;
+  });
+  var mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 function rpcCommand(params, cb) {
   if (!params || !params.length) {
     return cb('Invalid parameters');
@@ -230,7 +290,10 @@ module.exports = {
       rpcCommand([{ 
         method: 'getrawtransaction', 
         parameters: [hash, 1] 
-      }], cb);
+      }], function(tx) {
+        cache_tx(tx);
+        cb(tx);
+      });
     } else {
       request({
         uri: base_url + 'getrawtransaction?txid=' + hash + '&decrypt=1',
@@ -241,6 +304,44 @@ module.exports = {
           handleError(error, 'get_rawtransaction');
           return cb('Error getting transaction');
         }
+        cache_tx(body);
+        cb(body);
+      });
+    }
+  },
+
+  // verbose, keyed by txid
+  get_rawmempool: function(cb) {
+    if (settings.use_rpc) {
+      rpcCommand([{ method: 'getrawmempool', parameters: [true] }], cb);
+    } else {
+      request({
+        uri: base_url + 'getrawmempool?verbose=true',
+        json: true,
+        timeout: 15000
+      }, function(error, response, body) {
+        if (error || !body) {
+          handleError(error, 'get_rawmempool');
+          return cb('Error getting mempool');
+        }
+        cb(body);
+      });
+    }
+  },
+
+  get_txoutsetinfo: function(cb) {
+    if (settings.use_rpc) {
+      rpcCommand([{ method: 'gettxoutsetinfo', parameters: [] }], cb);
+    } else {
+      request({
+        uri: base_url + 'gettxoutsetinfo',
+        json: true,
+        timeout: 30000
+      }, function(error, response, body) {
+        if (error || !body) {
+          handleError(error, 'get_txoutsetinfo');
+          return cb('Error getting txoutset info');
+        }
         cb(body);
       });
     }
@@ -312,23 +413,21 @@ module.exports = {
         return loop.next();
       }
 
-      // Handle both address formats
-      var addresses = [];
-      if (output.scriptPubKey.addresses && output.scriptPubKey.addresses.length) {
-        addresses = output.scriptPubKey.addresses;
-      } else if (output.scriptPubKey.address) {
-        addresses = [output.scriptPubKey.address];
-      }
-
-      if (!addresses.length) {
+      var owner = this.get_vout_owner(output);
+      if (!owner) {
         return loop.next();
       }
 
-      var address = addresses[0];
+      var address = owner.address;
       this.is_unique(arr_vout, address, function(unique, index) {
         this.convert_to_satoshi(parseFloat(output.value || 0), function(amount_sat) {
           if (unique) {
-            arr_vout.push({ addresses: address, amount: amount_sat });
+            var entry = { addresses: address, amount: amount_sat, type: output.scriptPubKey.type };
+            if (owner.keys) {
+              entry.keys = owner.keys;
+              entry.required = owner.required;
+            }
+            arr_vout.push(entry);
           } else if (index !== null && arr_vout[index]) {
             arr_vout[index].amount += amount_sat;
           }
@@ -349,6 +448,453 @@ module.exports = {
     });
   },
 
+  // counts and sums (in satoshis) the raw outputs of a tx by scriptPubKey
+  // type, including the nonstandard and nulldata outputs prepare_vout drops
+  get_script_types: function(vout) {
+    var types = [];
+    if (!Array.isArray(vout)) {
+      return types;
+    }
+    for (var i = 0; i < vout.length; i++) {
+      var type = (vout[i] && vout[i].scriptPubKey && vout[i].scriptPubKey.type) || 'nonstandard';
+      var entry = null;
+      for (var t = 0; t < types.length; t++) {
+        if (types[t].type === type) {
+          entry = types[t];
+        }
+      }
+      if (!entry) {
+        entry = { type: type, count: 0, value: 0 };
+        types.push(entry);
+      }
+      entry.count++;
+      this.convert_to_satoshi(parseFloat(vout[i].value || 0), function(amount_sat) {
+        entry.value += amount_sat;
+      });
+    }
+    return types;
+  },
+
+  // coinbase, coinstake (PoS: first output empty) or regular. vin are the
+  // prepared inputs (satoshis) before prepare_vout nets the stake; reward is
+  // the value created by the tx in satoshis, 0 for regular txs.
+  classify_tx: function(tx, vin) {
+    var result = { type: 'regular', reward: 0 };
+    if (!tx || !Array.isArray(tx.vin) || !Array.isArray(tx.vout) || !tx.vin.length) {
+      return result;
+    }
+    var out_total = raw_output_total(tx.vout);
+    if (tx.vin[0].coinbase) {
+      result.type = 'coinbase';
+      result.reward = out_total;
+    } else if (tx.vout.length > 1 && tx.vout[0].scriptPubKey &&
+      tx.vout[0].scriptPubKey.type === 'nonstandard' && !(parseFloat(tx.vout[0].value) > 0)) {
+      result.type = 'coinstake';
+      result.reward = out_total - sum_amounts(vin);
+    }
+    return result;
+  },
+
+  // fee paid by a regular tx in satoshis and its rate in satoshis per (virtual)
+  // byte. vin are the prepared inputs, coinbase and coinstake txs pay no fee.
+  get_tx_fee: function(tx, vin, type) {
+    var size = tx.vsize || tx.size || (tx.hex ? tx.hex.length / 2 : 0);
+    var result = { fee: 0, size: size, fee_rate: 0 };
+    if (type !== 'regular' || !Array.isArray(tx.vout)) {
+      return result;
+    }
+    // unresolved inputs would make the fee negative
+    result.fee = Math.max(sum_amounts(vin) - raw_output_total(tx.vout), 0);
+    if (size > 0) {
+      result.fee_rate = Math.round(result.fee / size * 1000) / 1000;
+    }
+    return result;
+  },
+
+  // fee total and medians over the regular txs of a block
+  get_fee_summary: function(txs) {
+    var fees = [];
+    var rates = [];
+    var total = 0;
+    for (var i = 0; i < txs.length; i++) {
+      if (txs[i].type && txs[i].type !== 'regular') {
+        continue;
+      }
+      fees.push(txs[i].fee || 0);
+      rates.push(txs[i].fee_rate || 0);
+      total += txs[i].fee || 0;
+    }
+    return { fees: total, median_fee: median(fees), median_fee_rate: median(rates) };
+  },
+
+  // ranks a sorted richlist, excluded addresses keep their place but get no rank
+  rank_richlist: function(addresses, excluded) {
+    var rank = 0;
+    return addresses.map(function(address) {
+      var is_excluded = (excluded || []).indexOf(address.a_id) > -1;
+      return {
+        a_id: address.a_id,
+        balance: address.balance,
+        received: address.received,
+        name: address.name,
+        excluded: is_excluded,
+        rank: is_excluded ? null : ++rank,
+      };
+    });
+  },
+
+  // wealth distribution of balances (satoshis, largest first): address count
+  // and total per rank bucket (last rank of each) and per balance range (lower
+  // bound in coins of each), the Gini coefficient and the number of addresses
+  // holding each of the concentration percentages of the total.
+  get_distribution_stats: function(balances, rank_buckets, balance_buckets, concentration) {
+    var total = 0;
+    for (var t = 0; t < balances.length; t++) {
+      total += balances[t];
+    }
+    var ranks = rank_buckets.slice().sort(function(a, b) { return a - b; });
+    var by_rank = ranks.map(function(to, k) {
+      return { from: k > 0 ? ranks[k - 1] + 1 : 1, to: to, count: 0, total: 0 };
+    });
+    by_rank.push({ from: ranks.length ? ranks[ranks.length - 1] + 1 : 1, to: null, count: 0, total: 0 });
+    var lowers = balance_buckets.slice().sort(function(a, b) { return a - b; });
+    var by_balance = lowers.map(function(from, k) {
+      return { from: from, to: k + 1 < lowers.length ? lowers[k + 1] : null, count: 0, total: 0 };
+    });
+    var thresholds = concentration.slice().sort(function(a, b) { return a - b; });
+    var nakamoto = thresholds.map(function(percent) {
+      return { percent: percent, addresses: 0 };
+    });
+    var r = 0;
+    var next_threshold = 0;
+    var cumulative = 0;
+    var weighted = 0;
+    for (var i = 0; i < balances.length; i++) {
+      var balance = balances[i];
+      var rank = i + 1;
+      while (by_rank[r].to !== null && rank > by_rank[r].to) {
+        r++;
+      }
+      by_rank[r].count++;
+      by_rank[r].total += balance;
+      for (var b = by_balance.length - 1; b >= 0; b--) {
+        if (balance >= by_balance[b].from * 100000000) {
+          by_balance[b].count++;
+          by_balance[b].total += balance;
+          break;
+        }
+      }
+      weighted += rank * balance;
+      cumulative += balance;
+      while (next_threshold < nakamoto.length && cumulative * 100 >= nakamoto[next_threshold].percent * total) {
+        nakamoto[next_threshold].addresses = rank;
+        next_threshold++;
+      }
+    }
+    var add_percent = function(bucket) {
+      bucket.percent = total > 0 ? (bucket.total / total) * 100 : 0;
+      return bucket;
+    };
+    var n = balances.length;
+    return {
+      addresses: n,
+      total: total,
+      // with balances largest first: (n + 1) / n - 2 * sum(rank * balance) / (n * total)
+      gini: (n > 0 && total > 0) ? Math.round(((n + 1) / n - (2 * weighted) / (n * total)) * 10000) / 10000 : 0,
+      nakamoto: nakamoto,
+      rank_buckets: by_rank.map(add_percent),
+      balance_buckets: by_balance.map(add_percent),
+    };
+  },
+
+  // running balance after each block from [{height, time, amount}] sorted by
+  // height. when there are more than max_points blocks the balance is sampled
+  // evenly, always keeping the latest one.
+  get_balance_history: function(rows, max_points) {
+    var points = [];
+    var balance = 0;
+    for (var i = 0; i < rows.length; i++) {
+      balance += rows[i].amount;
+      points.push({ height: rows[i].height, time: rows[i].time, balance: balance });
+    }
+    if (!max_points || points.length <= max_points) {
+      return points;
+    }
+    var sampled = [];
+    var step = points.length / max_points;
+    for (var s = 1; s <= max_points; s++) {
+      sampled.push(points[Math.ceil(s * step) - 1]);
+    }
+    return sampled;
+  },
+
+  // groups of addresses spent together in txs (common-input-ownership),
+  // merged across txs with union-find. coinbase and multisig inputs are
+  // left out. returns only groups of two or more, each sorted.
+  cluster_inputs: function(txs) {
+    var parent = {};
+    var size = {};
+    var find = function(hash) {
+      var root = hash;
+      while (parent[root] !== root) {
+        root = parent[root];
+      }
+      while (parent[hash] !== root) {
+        var next = parent[hash];
+        parent[hash] = root;
+        hash = next;
+      }
+      return root;
+    };
+    var union = function(a, b) {
+      a = find(a);
+      b = find(b);
+      if (a === b) {
+        return;
+      }
+      if (size[a] < size[b]) {
+        var swap = a;
+        a = b;
+        b = swap;
+      }
+      parent[b] = a;
+      size[a] += size[b];
+    };
+    for (var i = 0; i < txs.length; i++) {
+      var first = null;
+      var vin = txs[i].vin || [];
+      for (var v = 0; v < vin.length; v++) {
+        var hash = vin[v].addresses;
+        if (typeof hash !== 'string' || hash === 'coinbase' || hash.indexOf('multisig:') === 0) {
+          continue;
+        }
+        if (!parent.hasOwnProperty(hash)) {
+          parent[hash] = hash;
+          size[hash] = 1;
+        }
+        if (first === null) {
+          first = hash;
+        } else {
+          union(first, hash);
+        }
+      }
+    }
+    var groups = {};
+    for (var member in parent) {
+      var root = find(member);
+      if (size[root] > 1) {
+        (groups[root] = groups[root] || []).push(member);
+      }
+    }
+    return Object.keys(groups).map(function(root) {
+      return groups[root].sort();
+    });
+  },
+
+  // breadth first walk of the outpoint graph from txid for up to hops hops.
+  // fetch(txids, cb) returns the outpoints ({txid, n, address, amount,
+  // spent_txid}) created by (forward) or spent by (backward) those txs.
+  // outpoints below threshold satoshis are not followed and at most max_txs
+  // txs are visited. cb({nodes, edges, truncated}) where nodes are txs
+  // ({id, type: 'tx', txid, hop}) and addresses ({id, type: 'address',
+  // address}) and each outpoint (txid:n) links tx -> address -> spending tx.
+  trace: function(txid, direction, hops, threshold, max_txs, fetch, cb) {
+    var nodes = {};
+    var edges = [];
+    var truncated = false;
+    var add_tx = function(id, hop) {
+      if (!nodes['tx:' + id]) {
+        nodes['tx:' + id] = {id: 'tx:' + id, type: 'tx', txid: id, hop: hop};
+      }
+      return 'tx:' + id;
+    };
+    var count = 1;
+    add_tx(txid, 0);
+    var frontier = [txid];
+    var hop = 0;
+    var step = function() {
+      if (frontier.length < 1 || hop >= hops) {
+        return cb({nodes: Object.keys(nodes).map(function(id) { return nodes[id]; }), edges: edges, truncated: truncated});
+      }
+      hop++;
+      fetch(frontier, function(outpoints) {
+        var next = [];
+        for (var i = 0; i < outpoints.length; i++) {
+          var out = outpoints[i];
+          if (out.amount < threshold) {
+            continue;
+          }
+          var reached = direction == 'backward' ? out.txid : out.spent_txid;
+          if (reached && !nodes['tx:' + reached]) {
+            if (count < max_txs) {
+              count++;
+              add_tx(reached, hop);
+              next.push(reached);
+            } else {
+              truncated = true;
+            }
+          }
+          var address = 'address:' + (out.address || out.txid + ':' + out.n);
+          if (!nodes[address]) {
+            nodes[address] = {id: address, type: 'address', address: out.address || null};
+          }
+          // a tx left out by max_txs keeps its address but not the link
+          var outpoint = out.txid + ':' + out.n;
+          if (nodes['tx:' + out.txid]) {
+            edges.push({from: 'tx:' + out.txid, to: address, amount: out.amount, outpoint: outpoint, spent: !!out.spent_txid});
+          }
+          if (out.spent_txid && nodes['tx:' + out.spent_txid]) {
+            edges.push({from: address, to: 'tx:' + out.spent_txid, amount: out.amount, outpoint: outpoint, spent: true});
+          }
+        }
+        frontier = next;
+        step();
+      });
+    };
+    step();
+  },
+
+  // a claimed address name as shown on the site: control characters and
+  // markup dropped, whitespace collapsed, cut to max_length characters
+  sanitize_label: function(label, max_length) {
+    if (typeof label !== 'string') {
+      return '';
+    }
+    var clean = label.replace(/[\u0000-\u001f\u007f-\u009f<>"'`\\]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (max_length > 0 && clean.length > max_length) {
+      clean = clean.substr(0, max_length).trim();
+    }
+    return clean;
+  },
+
+  // the message a claimant signs, expires is a unix time
+  claim_message: function(address, nonce, expires) {
+    return 'Claim ' + address + ' on the ' + settings.coin + ' explorer ' + settings.address +
+      ', nonce ' + nonce + ', expires ' + new Date(expires * 1000).toISOString();
+  },
+
+  // cb(true) only when the wallet says signature is address's over message
+  verify_message: function(address, signature, message, cb) {
+    rpcCommand([{ method: 'verifymessage', parameters: [address, signature, message] }], function(response) {
+      return cb(response === true);
+    });
+  },
+
+  // decodes the pushed data of an OP_RETURN script hex, null if malformed
+  decode_op_return: function(script) {
+    if (typeof script !== 'string' || script.substr(0, 2).toLowerCase() !== '6a') {
+      return null;
+    }
+    var bytes = Buffer.from(script.substr(2), 'hex');
+    var data = [];
+    var i = 0;
+    while (i < bytes.length) {
+      var op = bytes[i++];
+      var len = 0;
+      if (op === 0) {
+        continue;
+      } else if (op <= 75) {
+        len = op;
+      } else if (op === 0x4c && i + 1 <= bytes.length) {
+        len = bytes.readUInt8(i);
+        i += 1;
+      } else if (op === 0x4d && i + 2 <= bytes.length) {
+        len = bytes.readUInt16LE(i);
+        i += 2;
+      } else if (op === 0x4e && i + 4 <= bytes.length) {
+        len = bytes.readUInt32LE(i);
+        i += 4;
+      } else {
+        // small integers and other opcodes carry no data
+        continue;
+      }
+      if (i + len > bytes.length) {
+        return null;
+      }
+      data.push(bytes.slice(i, i + len));
+      i += len;
+    }
+    var payload = Buffer.concat(data);
+    var text = payload.toString('utf8');
+    var printable = payload.length > 0 && text.indexOf('\ufffd') < 0 && !/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/.test(text);
+    return { hex: payload.toString('hex'), utf8: printable ? text : null };
+  },
+
+  // payloads of the nulldata outputs of a raw tx
+  get_op_returns: function(vout) {
+    var op_returns = [];
+    if (!Array.isArray(vout)) {
+      return op_returns;
+    }
+    for (var i = 0; i < vout.length; i++) {
+      if (vout[i] && vout[i].scriptPubKey && vout[i].scriptPubKey.type === 'nulldata') {
+        var decoded = this.decode_op_return(vout[i].scriptPubKey.hex);
+        if (decoded && decoded.hex.length > 0) {
+          op_returns.push({ n: vout[i].n, hex: decoded.hex, utf8: decoded.utf8 });
+        }
+      }
+    }
+    return op_returns;
+  },
+
+  // returns the addresses of a raw vout, handling both the old
+  // scriptPubKey.addresses and the newer scriptPubKey.address format
+  get_vout_addresses: function(output) {
+    if (!output || !output.scriptPubKey) {
+      return [];
+    }
+    if (output.scriptPubKey.addresses && output.scriptPubKey.addresses.length) {
+      return output.scriptPubKey.addresses;
+    } else if (output.scriptPubKey.address) {
+      return [output.scriptPubKey.address];
+    }
+    return [];
+  },
+
+  // id an m-of-n output is indexed under. the keys stay on the vout and the
+  // address; the id only has to be stable for the same script.
+  get_multisig_id: function(required, keys) {
+    var digest = crypto.createHash('sha256').update(keys.join(',')).digest('hex');
+    return 'multisig:' + required + 'of' + keys.length + ':' + digest.substr(0, 40);
+  },
+
+  // the address a raw vout is credited to, or null for outputs without one.
+  // outputs locked to several keys (bare multisig) get a synthetic id, see
+  // get_multisig_id, plus their keys and required signature count.
+  get_vout_owner: function(output) {
+    if (!output || !output.scriptPubKey) {
+      return null;
+    }
+    var script = output.scriptPubKey;
+    var keys = this.get_vout_addresses(output);
+    if (script.type !== 'multisig') {
+      if (keys.length === 1) {
+        return { address: keys[0] };
+      } else if (!keys.length) {
+        return null;
+      }
+    }
+    var required = parseInt(script.reqSigs, 10);
+    if (script.type === 'multisig' && typeof script.asm === 'string') {
+      // newer nodes no longer list the keys or reqSigs, read them from the
+      // script: <m> <pubkey>... <n> OP_CHECKMULTISIG
+      var ops = script.asm.split(' ');
+      if (!keys.length) {
+        keys = ops.slice(1, -2);
+      }
+      if (isNaN(required)) {
+        required = parseInt(ops[0].replace('OP_', ''), 10);
+      }
+    }
+    if (!keys.length) {
+      return null;
+    }
+    if (isNaN(required)) {
+      required = 1;
+    }
+    return { address: this.get_multisig_id(required, keys), keys: keys, required: required };
+  },
+
   is_unique: function(array, object, cb) {
     if (!Array.isArray(array)) {
       return cb(true, null);
@@ -377,38 +923,63 @@ module.exports = {
       return;
     }
 
-    this.get_rawtransaction(input.txid, function(tx) {
-      if (!tx || !Array.isArray(tx.vout)) {
-        return cb([]);
+    var self = this;
+    var from_output = function(output) {
+      var owner = self.get_vout_owner(output);
+      if (owner) {
+        return cb([{
+          hash: owner.address,
+          amount: output.value
+        }]);
       }
+      cb([]);
+    };
 
-      for (var i = 0; i < tx.vout.length; i++) {
-        if (tx.vout[i].n === input.vout) {
-          var output = tx.vout[i];
-          var addresses = [];
-          
-          // Handle both address formats
-          if (output.scriptPubKey) {
-            if (output.scriptPubKey.addresses && output.scriptPubKey.addresses.length) {
-              addresses = output.scriptPubKey.addresses;
-            } else if (output.scriptPubKey.address) {
-              addresses = [output.scriptPubKey.address];
-            }
-          }
+    var output = cached_output(input.txid, input.vout);
+    if (output) {
+      input_lookups.cache++;
+      return from_output(output);
+    }
+
+    var from_rpc = function() {
+      input_lookups.rpc++;
+      self.get_rawtransaction(input.txid, function(tx) {
+        if (!tx || !Array.isArray(tx.vout)) {
+          return cb([]);
+        }
 
-          if (addresses.length) {
-            return cb([{
-              hash: addresses[0],
-              amount: output.value
-            }]);
+        for (var i = 0; i < tx.vout.length; i++) {
+          if (tx.vout[i].n === input.vout) {
+            return from_output(tx.vout[i]);
           }
-          break;
         }
+        cb([]);
+      });
+    };
+
+    if (settings.local_input_lookup === false) {
+      return from_rpc();
+    }
+
+    // the funding tx is usually indexed already, only ask the node on a miss
+    Utxo.findOne({ txid: input.txid, n: input.vout }).lean().exec(function(err, utxo) {
+      if (err || !utxo) {
+        return from_rpc();
       }
-      cb([]);
+      input_lookups.index++;
+      cb(utxo.address ? [{ hash: utxo.address, amount: utxo.amount / SATOSHI_FACTOR }] : []);
     });
   },
 
+  // counts of vin lookups resolved from the cache, the local index and rpc
+  get_input_lookups: function() {
+    return {
+      cache: input_lookups.cache,
+      index: input_lookups.index,
+      rpc: input_lookups.rpc
+    };
+  },
+
   prepare_vin: function(tx, cb) {
     if (!tx || !Array.isArray(tx.vin)) {
       return cb([]);
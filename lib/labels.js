@@ -0,0 +1,148 @@
+var fs = require('fs')
+  , settings = require('./settings')
+  , Label = require('../models/label');
+
+var categories = ['exchange', 'pool', 'team', 'burn', 'scam'];
+
+// bootstrap badge class per category
+var badges = {
+  exchange: 'info',
+  pool: 'primary',
+  team: 'success',
+  burn: 'secondary',
+  scam: 'danger',
+};
+
+var labels = {};
+var timer = null;
+
+// only http and https links are rendered, a javascript: or data: url from
+// the file or collection would run in the explorer's origin when clicked
+function link(url) {
+  if (typeof url !== 'string') {
+    return '';
+  }
+  try {
+    var protocol = new URL(url).protocol;
+    return protocol == 'http:' || protocol == 'https:' ? url : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function normalise(entry) {
+  if (!entry || typeof entry.name !== 'string' || entry.name === '') {
+    return null;
+  }
+  var category = categories.indexOf(entry.category) > -1 ? entry.category : '';
+  return {
+    name: entry.name,
+    category: category,
+    url: link(entry.url),
+    badge: badges[category] || entry.badge || 'light',
+  };
+}
+
+// settings.labels predates categories: {address: {label, type, url}} where
+// type is a bootstrap label class
+function from_settings() {
+  var result = {};
+  var legacy = settings.labels || {};
+  for (var hash in legacy) {
+    var entry = normalise({name: legacy[hash].label, url: legacy[hash].url, badge: legacy[hash].type});
+    if (entry) {
+      result[hash] = entry;
+    }
+  }
+  return result;
+}
+
+// the labels file holds {address: {name, category, url}}
+function from_file(file, cb) {
+  if (!file) {
+    return cb({});
+  }
+  fs.readFile(file, 'utf8', function(err, data) {
+    var result = {};
+    if (err) {
+      console.log('unable to read labels file %s: %s', file, err.message);
+      return cb(result);
+    }
+    try {
+      var parsed = JSON.parse(data);
+      for (var hash in parsed) {
+        var entry = normalise(parsed[hash]);
+        if (entry) {
+          result[hash] = entry;
+        }
+      }
+    } catch (e) {
+      console.log('unable to parse labels file %s: %s', file, e.message);
+    }
+    return cb(result);
+  });
+}
+
+function from_collection(cb) {
+  Label.find({}).lean().exec(function(err, docs) {
+    var result = {};
+    if (err) {
+      console.log(err);
+      return cb(result);
+    }
+    for (var i = 0; i < docs.length; i++) {
+      var entry = normalise(docs[i]);
+      if (entry) {
+        result[docs[i].a_id] = entry;
+      }
+    }
+    return cb(result);
+  });
+}
+
+module.exports = {
+  categories: categories,
+  badges: badges,
+
+  // merges settings.labels, the labels file and the labels collection, later
+  // sources overriding earlier ones
+  load: function(cb) {
+    var options = settings.address_labels || {};
+    from_file(options.file, function(file_labels) {
+      from_collection(function(collection_labels) {
+        labels = Object.assign(from_settings(), file_labels, collection_labels);
+        if (cb) {
+          return cb(labels);
+        }
+      });
+    });
+  },
+
+  // loads the labels now and again every address_labels.refresh seconds
+  watch: function() {
+    var self = this;
+    var refresh = parseInt((settings.address_labels || {}).refresh);
+    if (isNaN(refresh) || refresh < 1) {
+      refresh = 300;
+    }
+    self.load();
+    if (!timer) {
+      timer = setInterval(function() {
+        self.load();
+      }, refresh * 1000);
+    }
+  },
+
+  // {name, category, url, badge} or null
+  get: function(hash) {
+    return labels[hash] || null;
+  },
+
+  // the label as returned by the api
+  for_api: function(hash) {
+    var entry = labels[hash];
+    return entry ? {name: entry.name, category: entry.category, url: entry.url} : null;
+  },
+
+  normalise: normalise,
+};
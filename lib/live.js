@@ -0,0 +1,178 @@
+var mongoose = require('mongoose')
+  , settings = require('./settings')
+  , Event = require('../models/event');
+
+// browsers connected to /ext/live in this process: {res, topics, address}
+var clients = [];
+var last = null;
+var summary = null;
+var poll_timer = null;
+var heartbeat_timer = null;
+var polling = false;
+
+// live settings with defaults for missing keys
+function live_options() {
+  var options = settings.live || {};
+  return {
+    enabled: options.enabled !== false,
+    interval: options.interval || 2,
+    max_clients: options.max_clients || 1000,
+  };
+}
+
+function send(client, event) {
+  client.res.write('event: ' + event.type + '\ndata: ' + JSON.stringify(event.data) + '\n\n');
+}
+
+function wants(client, event) {
+  if (event.type == 'tx') {
+    return client.address !== null && event.data.amounts.hasOwnProperty(client.address);
+  }
+  return client.topics.indexOf(event.type) > -1;
+}
+
+// relays the events published since the last poll. every worker polls on
+// its own, so the cost is one query per worker whatever the number of tabs
+function poll() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+  var filter = last ? {_id: {$gt: last}} : {};
+  var query = Event.find(filter).sort({_id: last ? 1 : -1}).limit(last ? 500 : 1).lean();
+  query.exec(function(err, events) {
+    polling = false;
+    if (err) {
+      return console.log(err);
+    }
+    if (!last) {
+      // first run: start after the newest event, or from the first one
+      // published when there are none yet
+      last = events.length > 0 ? events[0]._id : mongoose.Types.ObjectId('000000000000000000000000');
+      return;
+    }
+    for (var i = 0; i < events.length; i++) {
+      last = events[i]._id;
+      if (events[i].type == 'summary') {
+        summary = events[i].data;
+      }
+      for (var c = 0; c < clients.length; c++) {
+        if (wants(clients[c], events[i])) {
+          send(clients[c], events[i]);
+        }
+      }
+    }
+  });
+}
+
+function start() {
+  if (poll_timer) {
+    return;
+  }
+  poll_timer = setInterval(poll, live_options().interval * 1000);
+  // comments keep proxies from closing idle streams
+  heartbeat_timer = setInterval(function() {
+    for (var c = 0; c < clients.length; c++) {
+      clients[c].res.write(': ping\n\n');
+    }
+  }, 25000);
+  poll();
+}
+
+function stop() {
+  clearInterval(poll_timer);
+  clearInterval(heartbeat_timer);
+  poll_timer = null;
+  heartbeat_timer = null;
+  last = null;
+  summary = null;
+}
+
+module.exports = {
+  // stores an event for the app workers to relay. data of a tx event is
+  // {txid, height, timestamp, amounts: {address: net satoshis}}, height
+  // null for mempool txs
+  publish: function(type, data, cb) {
+    if (!live_options().enabled) {
+      return cb();
+    }
+    Event.create({type: type, data: data}, function(err) {
+      if (err) {
+        console.log(err);
+      }
+      return cb();
+    });
+  },
+
+  // the block and tx events of an indexed block (txs as stored)
+  publish_block: function(block, txs, cb) {
+    if (!live_options().enabled || !block) {
+      return cb();
+    }
+    var events = [{type: 'block', data: {height: block.height, hash: block.hash, time: block.time, txcount: block.tx.length}}];
+    for (var i = 0; i < txs.length; i++) {
+      events.push({type: 'tx', data: this.tx_data(txs[i], block.height)});
+    }
+    Event.insertMany(events, function(err) {
+      if (err) {
+        console.log(err);
+      }
+      return cb();
+    });
+  },
+
+  // net satoshis per address of a tx with collapsed vin and vout
+  tx_data: function(tx, height) {
+    var amounts = {};
+    (tx.vout || []).forEach(function(out) {
+      if (out.addresses) {
+        amounts[out.addresses] = (amounts[out.addresses] || 0) + out.amount;
+      }
+    });
+    (tx.vin || []).forEach(function(input) {
+      if (input.addresses && input.addresses != 'coinbase') {
+        amounts[input.addresses] = (amounts[input.addresses] || 0) - input.amount;
+      }
+    });
+    return {txid: tx.txid, height: height, timestamp: tx.timestamp, amounts: amounts};
+  },
+
+  // /ext/live?topics=block,mempool,summary&address=<address>: a server-sent
+  // events stream of the chosen topics, plus the txs of one address
+  handler: function(req, res) {
+    var options = live_options();
+    if (!options.enabled) {
+      return res.status(404).send({error: 'live feed disabled.'});
+    }
+    if (clients.length >= options.max_clients) {
+      return res.status(503).send({error: 'too many live connections.'});
+    }
+    var topics = typeof req.query.topics === 'string' ? req.query.topics.split(',') : [];
+    var client = {
+      res: res,
+      topics: topics.filter(function(topic) {
+        return topic == 'block' || topic == 'mempool' || topic == 'summary';
+      }),
+      address: typeof req.query.address === 'string' && req.query.address !== '' ? req.query.address : null,
+    };
+    req.socket.setTimeout(0);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+    if (summary && client.topics.indexOf('summary') > -1) {
+      send(client, {type: 'summary', data: summary});
+    }
+    clients.push(client);
+    start();
+    req.on('close', function() {
+      clients.splice(clients.indexOf(client), 1);
+      if (clients.length < 1) {
+        stop();
+      }
+    });
+  },
+};
@@ -13,13 +13,16 @@ exports.menu_markets = "Markets",
 exports.menu_richlist = "Rich List",
 exports.menu_reward = "Reward",
 exports.menu_movement = "Movement",
+exports.menu_blocks = "Blocks",
+exports.menu_mempool = "Mempool",
+exports.menu_charts = "Charts",
 exports.menu_node = "Nodes",
 exports.menu_network = "Network"
 
 exports.ex_title = "Block Explorer",
 exports.ex_search_title = "Search",
 exports.ex_search_button = "Search",
-exports.ex_search_message = "You may enter a block height, block hash ,tx hash or address.",
+exports.ex_search_message = "You may enter a block height, block hash, tx hash, address or OP_RETURN data (hex).",
 exports.ex_error = "Error!",
 exports.ex_warning = "Warning:",
 exports.ex_search_error = "Search found no results.",
@@ -34,11 +37,78 @@ exports.tx_contributors = "Contributor(s)",
 exports.tx_hash = "Hash",
 exports.tx_address = "Address",
 exports.tx_nonstandard = "NONSTANDARD TX",
+exports.tx_op_return = "OP_RETURN Data",
+exports.tx_op_return_text = "Text",
+exports.tx_search_data = "Transactions carrying data",
+exports.multisig = "multisig",
+exports.multisig_keys = "Keys (in script order)",
+exports.tx_type_coinbase = "Coinbase",
+exports.tx_type_coinstake = "Stake",
+exports.tx_reward = "Reward",
+exports.tx_fee = "Fee",
+exports.tx_fee_rate = "sat/B",
+exports.block_fees = "Fees",
+exports.block_median_fee = "Median Fee",
+exports.a_balance_history = "Balance History",
+exports.trace_title = "Trace",
+exports.trace_forward = "Where the funds went",
+exports.trace_backward = "Where the funds came from",
+exports.trace_hops = "Hops",
+exports.trace_min = "Min. amount",
+exports.trace_submit = "Trace",
+exports.trace_help = "Click a transaction to trace from it, click an address to open it. Hover to highlight its links.",
+exports.trace_truncated = "The trace hit the transaction limit, some links are not shown.",
+exports.trace_empty = "Nothing to trace with these settings.",
+exports.trace_addresses = "Addresses Reached",
+exports.trace_unspent = "Unspent",
+exports.trace_spent = "Spent",
+exports.tx_trace = "Trace funds",
+exports.a_related = "Related Addresses",
+exports.a_related_help = "Addresses spent together with this one as inputs of a transaction, probably held by the same wallet",
+exports.a_cluster_balance = "Cluster Balance",
+exports.a_cluster_more = "more addresses",
+exports.claim_title = "Claim this Address",
+exports.claim_label = "Label",
+exports.claim_get_message = "Get message to sign",
+exports.claim_message = "Message",
+exports.claim_message_help = "Sign this exact message with the address in your wallet (signmessage) before it expires, then paste the signature below.",
+exports.claim_signature = "Signature",
+exports.claim_submit = "Claim",
+exports.claim_history = "Claim History",
+exports.claim_previous = "Previous Label",
+exports.charts_title = "Network Statistics",
+exports.charts_empty = "No data for this range yet",
+exports.charts_txcount = "Transactions",
+exports.charts_volume = "Transferred Volume",
+exports.charts_active_addresses = "Active Addresses",
+exports.charts_new_addresses = "New Addresses",
+exports.charts_blocks = "Blocks",
+exports.charts_avg_block_time = "Average Block Time (seconds)",
+exports.charts_issued = "Coins Issued",
+exports.charts_all = "All",
+exports.script_pubkey = "P2PK",
+exports.script_pubkeyhash = "P2PKH",
+exports.script_scripthash = "P2SH",
+exports.script_multisig = "Multisig",
+exports.script_nulldata = "OP_RETURN",
+exports.script_nonstandard = "Nonstandard",
+exports.script_witness_v0_keyhash = "P2WPKH",
+exports.script_witness_v0_scripthash = "P2WSH",
+exports.script_witness_v1_taproot = "P2TR",
+exports.script_witness_unknown = "Witness",
 
 exports.block_title = "Block Details",
 exports.block_previous = "Previous",
 exports.block_next = "Next",
 exports.block_genesis = "GENESIS",
+exports.block_latest = "Latest Blocks",
+exports.block_miner = "Miner",
+exports.block_filter = "Filter",
+exports.block_from = "From",
+exports.block_to = "To",
+
+exports.mempool_title = "Unconfirmed Transactions",
+exports.mempool_pending = "Pending Transactions",
 
 exports.difficulty = "Difficulty",
 exports.network = "Network",
@@ -55,22 +125,26 @@ exports.nonce = "Nonce",
 exports.new_coins = "New Coins",
 exports.proof_of_stake = "PoS",
 exports.initial_index_alert = "Indexing is currently incomplete, functionality is limited until index is up-to-date.",
+exports.sync_block = "Block",
+exports.sync_eta = "ETA",
+exports.sync_speed = "blocks/s",
 
 exports.a_menu_showing = "Showing",
 exports.a_menu_txs = "transactions",
 exports.a_menu_all = "All",
 exports.a_qr = "QR Code",
 
-exports.rl_received_coins = "Top 100 - Received Coins",
-exports.rl_current_balance = "Top 100 - Current Balance",
+exports.rl_received_coins = "Top Addresses - Received Coins",
+exports.rl_current_balance = "Top Addresses - Current Balance",
+exports.rl_excluded = "Excluded",
 exports.rl_received = "Received",
 exports.rl_balance = "Balance",
 exports.rl_wealth = "Wealth Distribution",
-exports.rl_top25 = "Top 1-25",
-exports.rl_top50 = "Top 26-50",
-exports.rl_top75 = "Top 51-75",
-exports.rl_top100 = "Top 76-100",
-exports.rl_hundredplus = "101+",
+exports.rl_top = "Top",
+exports.rl_balance_ranges = "Balance Ranges",
+exports.rl_addresses = "Addresses",
+exports.rl_gini = "Gini Coefficient",
+exports.rl_concentration = "Addresses holding",
 
 exports.net_addnodes = "Add Nodes",
 exports.net_connections = "Connections",
@@ -70,6 +70,10 @@ exports.display = {
   "richlist": true,
   "movement": true,
   "network": true,
+  "blocks": true,
+  "mempool": true,
+  "charts": true,
+  "trace": true,
   "navbar_dark": false,
   "navbar_light": false
 };
@@ -92,16 +96,30 @@ exports.markets = {
 };
 
 // richlist/top100 settings
+// depth: addresses kept per list (excluded addresses come on top of that)
+// excluded: addresses (burn, premine escrow, ..) shown in the richlist but
+// left out of rank and percentages
+// rank_buckets: last rank of each wealth distribution bucket (the rest are
+// grouped after the last one)
+// balance_buckets: lower bound in coins of each balance range
+// concentration: supply percentages to count the controlling addresses for
 exports.richlist = {
   "distribution": true,
   "received": true,
-  "balance": true
+  "balance": true,
+  "depth": 100,
+  "excluded": [],
+  "rank_buckets": [25, 50, 75, 100],
+  "balance_buckets": [0, 1, 10, 100, 1000, 10000, 100000],
+  "concentration": [33, 50, 66]
 };
 
 exports.movement = {
   "min_amount": 100,
   "low_flag": 1000,
-  "high_flag": 10000
+  "high_flag": 10000,
+  // leave coinbase and coinstake txs out of the movement list
+  "hide_rewards": true
 },
 
 //index
@@ -127,6 +145,23 @@ exports.update_timeout = 125;
 exports.check_timeout = 250;
 exports.block_parallel_tasks = 1;
 
+//live sync (node scripts/sync.js index watch)
+//zmq: zmqpubhashblock address of the daemon, e.g. "tcp://127.0.0.1:28332"
+//notify_port: local http port for the daemon's -blocknotify hook, 0 disables
+//poll_interval/richlist_interval/mempool_interval: seconds
+exports.sync = {
+  "zmq": "",
+  "notify_host": "127.0.0.1",
+  "notify_port": 0,
+  "poll_interval": 60,
+  "richlist_interval": 600,
+  "mempool_interval": 15
+};
+
+//input address resolution during indexing
+exports.local_input_lookup = true;
+exports.tx_cache_size = 10000;
+
 
 //genesis
 exports.genesis_tx = "65f705d2f385dc85763a317b3ec000063003d6b039546af5d8195a5ec27ae410";
@@ -137,13 +172,85 @@ exports.heavy = false;
 exports.lock_during_index = false;
 exports.txcount = 100;
 exports.txcount_per_page = 50;
+exports.blockcount = 100;
+exports.blockcount_per_page = 20;
+// most points plotted on the address balance chart
+exports.balance_history_points = 500;
 exports.show_sent_received = true;
 exports.supply = "COINBASE";
 exports.nethash = "getnetworkhashps";
 exports.nethash_units = "G";
 
+// address: {label, type, url}, prefer address_labels for new labels
 exports.labels = {};
 
+// curated address labels. file is a JSON file of
+// {"address": {"name": "", "category": "exchange", "url": ""}}, merged with
+// the labels collection (see scripts/labels.js) and reloaded every refresh
+// seconds. categories: exchange, pool, team, burn, scam
+exports.address_labels = {
+  "file": "",
+  "refresh": 300
+};
+
+// common-input-ownership clustering, built while indexing. panel_addresses
+// is how many related addresses the address page lists
+exports.cluster = {
+  "enabled": true,
+  "panel_addresses": 10
+};
+
+// fund tracing (/trace/:txid, /ext/trace/:txid): most hops a trace may
+// follow and most txs it may visit
+exports.trace = {
+  "max_hops": 5,
+  "max_txs": 200
+};
+
+// address watch webhooks (/ext/watches). api_keys are the keys allowed to
+// register watches. sync posts a notification when a watched address is in
+// a mempool or newly indexed tx and again at the watch's confirmations
+// (default confirmations). failed posts are retried up to retries times,
+// waiting backoff seconds doubled each time up to max_backoff. interval:
+// seconds between delivery runs in watch mode, timeout: seconds per post,
+// keep_days: days finished deliveries are kept for inspection. urls on
+// loopback, private or link-local hosts are refused unless allow_private
+exports.webhooks = {
+  "enabled": false,
+  "api_keys": [],
+  "confirmations": 6,
+  "max_watches": 1000,
+  "interval": 10,
+  "timeout": 10,
+  "retries": 8,
+  "backoff": 30,
+  "max_backoff": 21600,
+  "keep_days": 30,
+  "allow_private": false
+};
+
+// address claims (/address/:hash/claim): a signed challenge is valid for
+// expiry seconds and max_attempts signature checks. each ip gets at most
+// max_challenges challenges every window seconds. labels are cut to
+// max_length characters
+exports.claim = {
+  "expiry": 900,
+  "window": 3600,
+  "max_challenges": 10,
+  "max_attempts": 3,
+  "max_length": 30
+};
+
+// live feed (/ext/live): the home, movement and address pages update as
+// sync (index update or watch) publishes blocks, txs and summaries. each
+// app worker checks for new events every interval seconds and accepts at
+// most max_clients open streams. disabled, pages poll as before
+exports.live = {
+  "enabled": true,
+  "interval": 2,
+  "max_clients": 1000
+};
+
 exports.reloadSettings = function reloadSettings() {
   // Discover where the settings file lives
   var settingsFilename = "settings.json";
@@ -0,0 +1,304 @@
+var lib = require('./explorer')
+  , settings = require('./settings')
+  , Address = require('../models/address')
+  , AddressTx = require('../models/addresstx')
+  , Tx = require('../models/tx')
+  , Utxo = require('../models/utxo')
+  , Stats = require('../models/stats');
+
+// net amount the tx moved for the address, as stored by the indexer
+function tx_delta(tx, hash) {
+  var delta = {sent: 0, received: 0};
+  for (var i = 0; i < tx.vin.length; i++) {
+    if (tx.vin[i].addresses == hash) {
+      delta.sent = delta.sent + tx.vin[i].amount;
+    }
+  }
+  for (var t = 0; t < tx.vout.length; t++) {
+    if (tx.vout[t].addresses == hash) {
+      delta.received = delta.received + tx.vout[t].amount;
+    }
+  }
+  return delta;
+}
+
+// recomputes an address's totals from the txs its AddressTx rows point to
+function compute_address(hash, cb) {
+  AddressTx.find({a_id: hash}).lean().exec(function(err, rows) {
+    if (err) {
+      return cb(err);
+    }
+    var txids = [];
+    for (var i = 0; i < rows.length; i++) {
+      txids.push(rows[i].txid);
+    }
+    Tx.find({txid: {$in: txids}}, 'txid vin vout').lean().exec(function(err, txs) {
+      if (err) {
+        return cb(err);
+      }
+      var by_txid = {};
+      for (var i = 0; i < txs.length; i++) {
+        by_txid[txs[i].txid] = txs[i];
+      }
+      var computed = {sent: 0, received: 0, balance: 0};
+      var address_tx_balance = 0;
+      var address_txs = [];
+      var missing_txs = [];
+      for (var r = 0; r < rows.length; r++) {
+        address_tx_balance = address_tx_balance + rows[r].amount;
+        var tx = by_txid[rows[r].txid];
+        if (!tx) {
+          missing_txs.push(rows[r].txid);
+          continue;
+        }
+        var delta = tx_delta(tx, hash);
+        computed.sent = computed.sent + delta.sent;
+        computed.received = computed.received + delta.received;
+        if (rows[r].amount != delta.received - delta.sent) {
+          address_txs.push({txid: rows[r].txid, indexed: rows[r].amount, computed: delta.received - delta.sent});
+        }
+      }
+      computed.balance = computed.received - computed.sent;
+      return cb(null, {
+        computed: computed,
+        address_tx_balance: address_tx_balance,
+        address_txs: address_txs,
+        missing_txs: missing_txs,
+      });
+    });
+  });
+}
+
+// coinbase has no AddressTx rows, its sent total is every coinbase input
+function compute_coinbase(cb) {
+  Tx.aggregate([
+    { $unwind: '$vin' },
+    { $match: { 'vin.addresses': 'coinbase' } },
+    { $group: { _id: null, sent: { $sum: '$vin.amount' } } }
+  ]).allowDiskUse(true).exec(function(err, result) {
+    if (err) {
+      return cb(err);
+    }
+    var sent = result.length ? result[0].sent : 0;
+    return cb(null, {computed: {sent: sent, received: 0, balance: 0}, address_tx_balance: 0, address_txs: [], missing_txs: []});
+  });
+}
+
+function repair_address(hash, result, cb) {
+  var ops = [];
+  for (var i = 0; i < result.address_txs.length; i++) {
+    ops.push({
+      updateOne: {
+        filter: {a_id: hash, txid: result.address_txs[i].txid},
+        update: {$set: {amount: result.address_txs[i].computed}}
+      }
+    });
+  }
+  var fix_address = function() {
+    Address.updateOne({a_id: hash}, {$set: result.computed}, function(err) {
+      return cb(err);
+    });
+  };
+  if (ops.length < 1) {
+    return fix_address();
+  }
+  AddressTx.bulkWrite(ops, {ordered: false}, function(err) {
+    if (err) {
+      return cb(err);
+    }
+    fix_address();
+  });
+}
+
+function sum_balances(cb) {
+  Address.aggregate([
+    { $match: { a_id: { $ne: 'coinbase' } } },
+    { $group: { _id: null, balance: { $sum: '$balance' } } }
+  ]).allowDiskUse(true).exec(function(err, result) {
+    return cb(err, (result && result.length) ? result[0].balance : 0);
+  });
+}
+
+function sum_unspent(cb) {
+  Utxo.aggregate([
+    { $match: { spent: { $ne: true } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]).allowDiskUse(true).exec(function(err, result) {
+    return cb(err, (result && result.length) ? result[0].amount : 0);
+  });
+}
+
+function compare_tx(tx, rtx, cb) {
+  lib.prepare_vin(rtx, function(vin) {
+    lib.prepare_vout(rtx.vout, rtx.txid, vin, function(vout, nvin) {
+      lib.calculate_total(vout, function(total) {
+        var node = {
+          vin: nvin,
+          vout: vout,
+          total: parseFloat(total.toFixed(8)),
+          blockhash: rtx.blockhash,
+        };
+        var fields = [];
+        var simplify = function(list) {
+          return JSON.stringify((list || []).map(function(entry) {
+            return [entry.addresses, entry.amount];
+          }));
+        };
+        if (simplify(tx.vin) != simplify(node.vin)) {
+          fields.push('vin');
+        }
+        if (simplify(tx.vout) != simplify(node.vout)) {
+          fields.push('vout');
+        }
+        if (Math.abs(tx.total - node.total) > 0.000000005) {
+          fields.push('total');
+        }
+        if (tx.blockhash != node.blockhash) {
+          fields.push('blockhash');
+        }
+        return cb(fields, node);
+      });
+    });
+  });
+}
+
+module.exports = {
+  // compares every Address with totals recomputed from its AddressTx rows.
+  // with repair set, mismatched addresses and their AddressTx rows are fixed.
+  // negative balances are counted separately as they are hidden in the ui.
+  addresses: function(repair, cb) {
+    var report = {checked: 0, mismatched: 0, negative: 0, repaired: 0, discrepancies: []};
+    var cursor = Address.find({}, 'a_id sent received balance').lean().cursor();
+    var next = function() {
+      cursor.next(function(err, address) {
+        if (err) {
+          console.log(err);
+          return cb(report);
+        }
+        if (!address) {
+          return cb(report);
+        }
+        report.checked++;
+        // upserted addresses only have the totals they were incremented
+        // with, coinbase has no received or balance
+        var indexed = {
+          sent: address.sent || 0,
+          received: address.received || 0,
+          balance: address.balance || 0,
+        };
+        if (report.checked % 1000 === 0) {
+          console.log('%s addresses checked', report.checked);
+        }
+        if (indexed.balance < 0) {
+          report.negative++;
+        }
+        var compute = address.a_id == 'coinbase' ? compute_coinbase : function(done) {
+          compute_address(address.a_id, done);
+        };
+        compute(function(err, result) {
+          if (err) {
+            console.log(err);
+            return next();
+          }
+          var computed = result.computed;
+          if (indexed.sent == computed.sent && indexed.received == computed.received
+            && indexed.balance == computed.balance && result.address_txs.length < 1
+            && result.missing_txs.length < 1) {
+            return next();
+          }
+          report.mismatched++;
+          report.discrepancies.push({
+            address: address.a_id,
+            indexed: indexed,
+            computed: computed,
+            address_tx_balance: result.address_tx_balance,
+            address_txs: result.address_txs,
+            missing_txs: result.missing_txs,
+          });
+          // totals can't be recomputed while some of the txs are missing,
+          // those are left for 'sync.js index check' to fill in first
+          if (!repair || result.missing_txs.length > 0) {
+            return next();
+          }
+          repair_address(address.a_id, result, function(err) {
+            if (err) {
+              console.log(err);
+            } else {
+              report.repaired++;
+            }
+            next();
+          });
+        });
+      });
+    };
+    next();
+  },
+
+  // compares the supply held by indexed addresses and outpoints with the node's
+  // utxo set. all amounts are in satoshis.
+  supply: function(cb) {
+    Stats.findOne({coin: settings.coin}, function(err, stats) {
+      lib.get_txoutsetinfo(function(info) {
+        sum_balances(function(err, balances) {
+          sum_unspent(function(err2, unspent) {
+            var report = {
+              index_height: stats ? stats.last : null,
+              node_height: null,
+              node: null,
+              addresses: balances,
+              utxos: unspent,
+              difference: null,
+            };
+            if (info && typeof info.total_amount !== 'undefined') {
+              lib.convert_to_satoshi(parseFloat(info.total_amount), function(node_supply) {
+                report.node_height = info.height;
+                report.node = node_supply;
+                report.difference = balances - node_supply;
+                return cb(report);
+              });
+            } else {
+              console.log('gettxoutsetinfo failed: %s', info);
+              return cb(report);
+            }
+          });
+        });
+      });
+    });
+  },
+
+  // checks a random sample of indexed txs against getrawtransaction
+  txs: function(sample, cb) {
+    var report = {checked: 0, mismatched: 0, discrepancies: []};
+    Tx.aggregate([{ $sample: { size: sample } }]).exec(function(err, txs) {
+      if (err || !txs) {
+        console.log(err);
+        return cb(report);
+      }
+      lib.syncLoop(txs.length, function(loop) {
+        var tx = txs[loop.iteration()];
+        lib.get_rawtransaction(tx.txid, function(rtx) {
+          report.checked++;
+          if (!rtx || !rtx.txid) {
+            report.mismatched++;
+            report.discrepancies.push({txid: tx.txid, fields: ['missing']});
+            return loop.next();
+          }
+          compare_tx(tx, rtx, function(fields, node) {
+            if (fields.length > 0) {
+              report.mismatched++;
+              report.discrepancies.push({
+                txid: tx.txid,
+                fields: fields,
+                indexed: {vin: tx.vin, vout: tx.vout, total: tx.total, blockhash: tx.blockhash},
+                node: node,
+              });
+            }
+            loop.next();
+          });
+        });
+      }, function() {
+        return cb(report);
+      });
+    });
+  }
+};
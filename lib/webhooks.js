@@ -0,0 +1,454 @@
+var crypto = require('crypto')
+  , dns = require('dns')
+  , net = require('net')
+  , mongoose = require('mongoose')
+  , request = require('request')
+  , async = require('async')
+  , settings = require('./settings')
+  , Watch = require('../models/watch')
+  , Notification = require('../models/notification')
+  , Tx = require('../models/tx');
+
+// webhook settings with defaults for missing keys
+function webhook_options() {
+  var options = settings.webhooks || {};
+  return {
+    enabled: options.enabled === true,
+    api_keys: options.api_keys || [],
+    confirmations: options.confirmations || 6,
+    max_watches: options.max_watches || 1000,
+    timeout: options.timeout || 10,
+    retries: options.retries || 8,
+    backoff: options.backoff || 30,
+    max_backoff: options.max_backoff || 21600,
+    keep_days: options.keep_days || 30,
+    allow_private: options.allow_private === true,
+  };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function expires(options) {
+  return new Date(Date.now() + options.keep_days * 86400000);
+}
+
+// a watch as returned by the api, without its secret
+function public_watch(watch) {
+  return {
+    id: watch._id,
+    address: watch.a_id,
+    url: watch.url,
+    signed: watch.secret !== '',
+    confirmations: watch.confirmations,
+    created: watch.created,
+  };
+}
+
+// true for loopback, private, link-local and other non-public ips, so
+// watches can't make sync post to the node's rpc port or the local network
+function private_ip(ip) {
+  if (net.isIPv6(ip)) {
+    ip = ip.toLowerCase();
+    var mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return private_ip(mapped[1]);
+    }
+    mapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+      var high = parseInt(mapped[1], 16);
+      var low = parseInt(mapped[2], 16);
+      return private_ip([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return ip == '::' || ip == '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+  }
+  if (!net.isIPv4(ip)) {
+    return false;
+  }
+  var parts = ip.split('.').map(Number);
+  return parts[0] === 0 || parts[0] === 10 || parts[0] === 127 || parts[0] >= 224
+    || (parts[0] === 100 && parts[1] >= 64 && parts[1] < 128)
+    || (parts[0] === 169 && parts[1] === 254)
+    || (parts[0] === 172 && parts[1] >= 16 && parts[1] < 32)
+    || (parts[0] === 192 && parts[1] === 168)
+    || (parts[0] === 198 && (parts[1] === 18 || parts[1] === 19));
+}
+
+function url_host(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '');
+}
+
+function valid_url(url, options) {
+  if (typeof url !== 'string' || url.length > 2048) {
+    return false;
+  }
+  try {
+    var parsed = new URL(url);
+    if (parsed.protocol != 'http:' && parsed.protocol != 'https:') {
+      return false;
+    }
+  } catch (e) {
+    return false;
+  }
+  var host = url_host(url).toLowerCase();
+  return options.allow_private || !(private_ip(host) || host == 'localhost' || /\.localhost$/.test(host));
+}
+
+// dns lookup for the webhook posts that fails on private ips. the socket
+// connects to the address checked here, so a host that resolves to a
+// public ip once and a private one the next time can't slip through.
+// ip literals skip the lookup and are checked in send.
+function public_lookup(hostname, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, function(err, address, family) {
+    if (err) {
+      return cb(err);
+    }
+    var addresses = Array.isArray(address) ? address : [{address: address}];
+    for (var i = 0; i < addresses.length; i++) {
+      if (private_ip(addresses[i].address)) {
+        return cb(new Error('private address ' + addresses[i].address));
+      }
+    }
+    return cb(null, address, family);
+  });
+}
+
+// satoshis received and sent by hash in a tx with collapsed vin and vout
+function tx_amounts(tx, hash) {
+  var amounts = {received: 0, sent: 0};
+  (tx.vout || []).forEach(function(out) {
+    if (out.addresses == hash) {
+      amounts.received += out.amount;
+    }
+  });
+  (tx.vin || []).forEach(function(input) {
+    if (input.addresses == hash) {
+      amounts.sent += input.amount;
+    }
+  });
+  return amounts;
+}
+
+function tx_addresses(tx) {
+  var addresses = [];
+  (tx.vin || []).concat(tx.vout || []).forEach(function(entry) {
+    if (entry.addresses && entry.addresses != 'coinbase' && addresses.indexOf(entry.addresses) < 0) {
+      addresses.push(entry.addresses);
+    }
+  });
+  return addresses;
+}
+
+// hex hmac-sha256 of body, sent as X-Explorer-Signature: sha256=<hex>
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// seconds to wait after the given number of failed attempts
+function retry_delay(attempts, backoff, max_backoff) {
+  var delay = backoff * Math.pow(2, Math.max(attempts - 1, 0));
+  return max_backoff > 0 ? Math.min(delay, max_backoff) : delay;
+}
+
+function send(notification, options, cb) {
+  Watch.findById(notification.watch).lean().exec(function(err, watch) {
+    var attempts = notification.attempts + 1;
+    var finish = function(entry, delivered) {
+      var update = {$set: {attempts: attempts}, $push: {log: entry}};
+      if (delivered) {
+        update.$set.status = 'delivered';
+        update.$set.expires = expires(options);
+      } else if (!watch || attempts >= options.retries) {
+        update.$set.status = 'failed';
+        update.$set.expires = expires(options);
+        console.log('webhook %s %s for %s failed after %s attempts: %s', notification.event, notification.txid, notification.a_id, attempts, entry.error);
+      } else {
+        var delay = retry_delay(attempts, options.backoff, options.max_backoff);
+        update.$set.next_attempt = new Date(Date.now() + delay * 1000);
+        console.log('webhook %s %s for %s failed (%s), retrying in %ss', notification.event, notification.txid, notification.a_id, entry.error, delay);
+      }
+      Notification.updateOne({_id: notification._id}, update, function(err) {
+        if (err) {
+          console.log(err);
+        }
+        return cb();
+      });
+    };
+    if (err || !watch) {
+      return finish({time: new Date(), status: null, error: 'watch removed'}, false);
+    }
+    var body = JSON.stringify(Object.assign({
+      id: notification._id,
+      watch: watch._id,
+      attempt: attempts,
+      sent: Math.floor(Date.now() / 1000),
+    }, notification.payload));
+    var headers = {
+      'Content-Type': 'application/json',
+      'X-Explorer-Event': notification.event,
+      'X-Explorer-Delivery': String(notification._id),
+    };
+    if (watch.secret) {
+      headers['X-Explorer-Signature'] = 'sha256=' + sign(watch.secret, body);
+    }
+    var post = {
+      url: watch.url,
+      method: 'POST',
+      headers: headers,
+      body: body,
+      timeout: options.timeout * 1000,
+      followRedirect: false,
+    };
+    if (!options.allow_private) {
+      var host = url_host(watch.url);
+      if (private_ip(host)) {
+        return finish({time: new Date(), status: null, error: 'private address ' + host}, false);
+      }
+      post.lookup = public_lookup;
+    }
+    request(post, function(error, response) {
+      var status = response ? response.statusCode : null;
+      var delivered = !error && status >= 200 && status < 300;
+      finish({
+        time: new Date(),
+        status: status,
+        error: error ? error.message : (delivered ? null : 'HTTP ' + status),
+      }, delivered);
+    });
+  });
+}
+
+module.exports = {
+  sign: sign,
+  retry_delay: retry_delay,
+  private_ip: private_ip,
+  public_lookup: public_lookup,
+  tx_amounts: tx_amounts,
+
+  enabled: function() {
+    return webhook_options().enabled;
+  },
+
+  // owner id (sha256 of the key) of a configured api key, null otherwise
+  authenticate: function(key) {
+    if (typeof key !== 'string' || key === '') {
+      return null;
+    }
+    var digest = sha256(key);
+    var keys = webhook_options().api_keys;
+    for (var i = 0; i < keys.length; i++) {
+      if (crypto.timingSafeEqual(digest, sha256(keys[i]))) {
+        return digest.toString('hex');
+      }
+    }
+    return null;
+  },
+
+  // params: {address, url, secret, confirmations}. cb(error, watch)
+  create_watch: function(owner, params, cb) {
+    var options = webhook_options();
+    var address = params.address;
+    if (typeof address !== 'string' || !/^[a-zA-Z0-9:]{20,128}$/.test(address)) {
+      return cb('invalid address.');
+    }
+    if (!valid_url(params.url, options)) {
+      return cb('url must be a public http or https url.');
+    }
+    var secret = typeof params.secret === 'undefined' ? '' : params.secret;
+    if (typeof secret !== 'string' || secret.length > 256) {
+      return cb('secret must be a string of at most 256 characters.');
+    }
+    var confirmations = typeof params.confirmations === 'undefined' ? options.confirmations : parseInt(params.confirmations);
+    if (isNaN(confirmations) || confirmations < 1 || confirmations > 1000) {
+      return cb('confirmations must be between 1 and 1000.');
+    }
+    Watch.countDocuments({owner: owner}, function(err, count) {
+      if (err) {
+        console.log(err);
+        return cb('unable to create watch.');
+      }
+      if (count >= options.max_watches) {
+        return cb('too many watches for this api key.');
+      }
+      Watch.create({
+        a_id: address,
+        url: params.url,
+        secret: secret,
+        confirmations: confirmations,
+        owner: owner,
+      }, function(err, watch) {
+        if (err) {
+          console.log(err);
+          return cb('unable to create watch.');
+        }
+        return cb(null, public_watch(watch));
+      });
+    });
+  },
+
+  list_watches: function(owner, cb) {
+    Watch.find({owner: owner}).sort({created: 1}).lean().exec(function(err, watches) {
+      return cb(err ? [] : watches.map(public_watch));
+    });
+  },
+
+  // cb(watch, deliveries) with the latest deliveries, or cb(null)
+  get_watch: function(owner, id, count, cb) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return cb(null);
+    }
+    Watch.findOne({_id: id, owner: owner}).lean().exec(function(err, watch) {
+      if (err || !watch) {
+        return cb(null);
+      }
+      Notification.find({watch: watch._id}, {watch: 0, confirm_queued: 0, confirm_height: 0, expires: 0})
+        .sort({created: -1}).limit(count).lean().exec(function(err, deliveries) {
+        return cb(public_watch(watch), err ? [] : deliveries);
+      });
+    });
+  },
+
+  // cb(true) once removed along with its undelivered notifications
+  remove_watch: function(owner, id, cb) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return cb(false);
+    }
+    Watch.findOneAndDelete({_id: id, owner: owner}, function(err, watch) {
+      if (err || !watch) {
+        return cb(false);
+      }
+      Notification.deleteMany({watch: watch._id, status: 'pending'}, function() {
+        return cb(true);
+      });
+    });
+  },
+
+  // queues a notification per watch of an address in txs (collapsed vin and
+  // vout as stored). event is mempool, or block for txs with a blockindex.
+  // queueing twice is harmless, there's one per watch, tx and event.
+  queue_txs: function(txs, event, cb) {
+    if (!webhook_options().enabled || txs.length < 1) {
+      return cb();
+    }
+    var addresses = [];
+    var touched = txs.map(function(tx) {
+      var list = tx_addresses(tx);
+      addresses = addresses.concat(list);
+      return list;
+    });
+    Watch.find({a_id: {$in: addresses}}).lean().exec(function(err, watches) {
+      if (err || watches.length < 1) {
+        return cb();
+      }
+      var ops = [];
+      for (var i = 0; i < txs.length; i++) {
+        for (var w = 0; w < watches.length; w++) {
+          var watch = watches[w];
+          if (touched[i].indexOf(watch.a_id) < 0) {
+            continue;
+          }
+          var amounts = tx_amounts(txs[i], watch.a_id);
+          var payload = {
+            event: event,
+            address: watch.a_id,
+            txid: txs[i].txid,
+            received: amounts.received / 100000000,
+            sent: amounts.sent / 100000000,
+          };
+          var doc = {a_id: watch.a_id, payload: payload, status: 'pending', attempts: 0, next_attempt: new Date(), log: [], created: new Date()};
+          if (event == 'block') {
+            payload.height = txs[i].blockindex;
+            payload.confirmations = 1;
+            doc.height = txs[i].blockindex;
+            doc.confirm_height = txs[i].blockindex + watch.confirmations - 1;
+            doc.confirm_queued = false;
+          }
+          ops.push({
+            updateOne: {
+              filter: {watch: watch._id, txid: txs[i].txid, event: event},
+              update: {$setOnInsert: doc},
+              upsert: true
+            }
+          });
+        }
+      }
+      if (ops.length < 1) {
+        return cb();
+      }
+      Notification.bulkWrite(ops, {ordered: false}, function(err) {
+        if (err) {
+          console.log(err);
+        }
+        return cb();
+      });
+    });
+  },
+
+  // queues the confirmed notification of block notifications that reached
+  // their watch's depth at tip. a tx moved by a reorg is rescheduled at its
+  // new height, one no longer indexed gets none.
+  check_confirmations: function(tip, cb) {
+    if (!webhook_options().enabled) {
+      return cb();
+    }
+    Notification.find({confirm_queued: false, confirm_height: {$lte: tip}}).limit(1000).lean().exec(function(err, due) {
+      if (err) {
+        console.log(err);
+        return cb();
+      }
+      async.eachLimit(due, 1, function(notification, next) {
+        var done = function(update) {
+          Notification.updateOne({_id: notification._id}, {$set: update}, function() {
+            return next();
+          });
+        };
+        Tx.findOne({txid: notification.txid}, 'blockindex', function(err, tx) {
+          if (err || !tx) {
+            console.log('webhook: %s is no longer indexed, no confirmed notification', notification.txid);
+            return done({confirm_queued: true});
+          }
+          if (tx.blockindex !== notification.height) {
+            return done({height: tx.blockindex, confirm_height: tx.blockindex + (notification.confirm_height - notification.height)});
+          }
+          var confirmations = notification.confirm_height - notification.height + 1;
+          var payload = Object.assign({}, notification.payload, {event: 'confirmed', confirmations: confirmations});
+          Notification.updateOne({watch: notification.watch, txid: notification.txid, event: 'confirmed'}, {
+            $setOnInsert: {a_id: notification.a_id, payload: payload, status: 'pending', attempts: 0, next_attempt: new Date(), log: [], created: new Date()}
+          }, {upsert: true}, function(err) {
+            if (err) {
+              console.log(err);
+            }
+            return done({confirm_queued: true});
+          });
+        });
+      }, function() {
+        return cb();
+      });
+    });
+  },
+
+  // posts the notifications that are due, failures are retried with
+  // exponential backoff up to webhooks.retries attempts
+  deliver: function(cb) {
+    var options = webhook_options();
+    if (!options.enabled) {
+      return cb();
+    }
+    Notification.find({status: 'pending', next_attempt: {$lte: new Date()}}).sort({next_attempt: 1}).limit(100).lean().exec(function(err, due) {
+      if (err) {
+        console.log(err);
+        return cb();
+      }
+      async.eachLimit(due, 4, function(notification, next) {
+        send(notification, options, next);
+      }, function() {
+        return cb();
+      });
+    });
+  },
+};
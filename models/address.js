@@ -7,7 +7,18 @@ var AddressSchema = new Schema({
   received: { type: Number, default: 0, index: true },
   sent: { type: Number, default: 0, index: true },
   balance: {type: Number, default: 0, index: true},
+  last_block: {type: Number}, // height of the last block batch applied
+  first_block: {type: Number, index: true}, // height the address first appeared at
+  // set for multisig ids (see lib/explorer get_multisig_id): the keys in
+  // script order and the signatures required to spend
+  keys: {type: [String], default: undefined},
+  required: {type: Number},
+  // common-input-ownership cluster (see lib/database merge_cluster), the id
+  // of one of its addresses. unset until the address is co-spent.
+  cluster: {type: String},
 }, {id: false});
 
+AddressSchema.index({cluster: 1, balance: -1}, {partialFilterExpression: {cluster: {$exists: true}}});
+
 module.exports = mongoose.model('Address', AddressSchema);
 
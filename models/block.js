@@ -0,0 +1,20 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+var BlockSchema = new Schema({
+  height: { type: Number, unique: true, index: true },
+  hash: { type: String, lowercase: true, unique: true, index: true },
+  time: { type: Number, default: 0, index: true },
+  size: { type: Number, default: 0 },
+  txcount: { type: Number, default: 0 },
+  difficulty: { type: Number, default: 0 },
+  // total output of all txs in satoshis
+  total: { type: Number, default: 0 },
+  // fees of the regular txs in satoshis, rate in satoshis per byte
+  fees: { type: Number, default: 0 },
+  median_fee: { type: Number, default: 0 },
+  median_fee_rate: { type: Number, default: 0 },
+  miner: { type: String, default: '', index: true },
+}, {id: false});
+
+module.exports = mongoose.model('Block', BlockSchema);
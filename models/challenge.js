@@ -0,0 +1,17 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// one-time messages issued for address claims (see lib/database
+// create_claim_challenge). mongo drops them once expires has passed.
+var ChallengeSchema = new Schema({
+  a_id: { type: String, index: true },
+  nonce: { type: String, unique: true, index: true },
+  message: { type: String },
+  ip: { type: String, index: true },
+  created: { type: Date, default: Date.now, index: true },
+  expires: { type: Date, expires: 0 },
+  attempts: { type: Number, default: 0 }, // failed signature checks
+  used: { type: Boolean, default: false },
+}, {id: false});
+
+module.exports = mongoose.model('Challenge', ChallengeSchema);
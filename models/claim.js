@@ -0,0 +1,14 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// history of successful address claims, newest label wins
+var ClaimSchema = new Schema({
+  a_id: { type: String, index: true },
+  name: { type: String, default: '' },
+  previous: { type: String, default: '' },
+  nonce: { type: String },
+  ip: { type: String },
+  time: { type: Date, default: Date.now, index: true },
+}, {id: false});
+
+module.exports = mongoose.model('Claim', ClaimSchema);
@@ -0,0 +1,18 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// one document per UTC day, rebuilt by sync (see lib/database update_daily_stats).
+// volume and issued are in satoshis, avg_block_time in seconds.
+var DailySchema = new Schema({
+  date: { type: String, unique: true, index: true }, // YYYY-MM-DD
+  time: { type: Number, default: 0, index: true }, // unix time of 00:00 UTC
+  txcount: { type: Number, default: 0 },
+  volume: { type: Number, default: 0 },
+  active_addresses: { type: Number, default: 0 },
+  new_addresses: { type: Number, default: 0 },
+  blocks: { type: Number, default: 0 },
+  avg_block_time: { type: Number, default: 0 },
+  issued: { type: Number, default: 0 },
+}, {id: false});
+
+module.exports = mongoose.model('Daily', DailySchema);
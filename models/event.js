@@ -0,0 +1,12 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// live feed events published by sync and relayed to browsers by every app
+// worker (see lib/live). kept for ten minutes.
+var EventSchema = new Schema({
+  type: { type: String }, // block, tx, mempool or summary
+  data: { type: Schema.Types.Mixed },
+  created: { type: Date, default: Date.now, expires: 600 },
+}, {id: false});
+
+module.exports = mongoose.model('Event', EventSchema);
@@ -0,0 +1,13 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// admin curated address labels, see lib/labels and scripts/labels.js
+var LabelSchema = new Schema({
+  a_id: { type: String, unique: true, index: true },
+  name: { type: String, default: '' },
+  // one of lib/labels categories
+  category: { type: String, default: '' },
+  url: { type: String, default: '' },
+}, {id: false});
+
+module.exports = mongoose.model('Label', LabelSchema);
@@ -0,0 +1,17 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// unconfirmed txs, refreshed from getrawmempool and removed once mined
+var MempoolSchema = new Schema({
+  txid: { type: String, lowercase: true, unique: true, index: true },
+  vin: { type: Array, default: [] },
+  vout: { type: Array, default: [] },
+  // every input and output address, for the address page
+  addresses: { type: [String], index: true },
+  total: { type: Number, default: 0 },
+  size: { type: Number, default: 0 },
+  // time the node first saw the tx
+  timestamp: { type: Number, default: 0, index: true },
+}, {id: false});
+
+module.exports = mongoose.model('Mempool', MempoolSchema);
@@ -0,0 +1,29 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// one webhook delivery per watch, tx and event (mempool, block or
+// confirmed). pending ones are retried until delivered or out of attempts,
+// finished ones are dropped once expires has passed.
+var NotificationSchema = new Schema({
+  watch: { type: Schema.Types.ObjectId, index: true },
+  a_id: { type: String },
+  txid: { type: String, lowercase: true },
+  event: { type: String },
+  payload: { type: Schema.Types.Mixed },
+  // block events: height of the tx and height its confirmed event is due at
+  height: { type: Number },
+  confirm_height: { type: Number },
+  confirm_queued: { type: Boolean },
+  status: { type: String, default: 'pending', index: true }, // pending, delivered or failed
+  attempts: { type: Number, default: 0 },
+  next_attempt: { type: Date, default: Date.now, index: true },
+  // [{time, status, error}] of every attempt
+  log: { type: Array, default: [] },
+  created: { type: Date, default: Date.now },
+  expires: { type: Date, expires: 0 },
+}, {id: false});
+
+NotificationSchema.index({watch: 1, txid: 1, event: 1}, {unique: true});
+NotificationSchema.index({confirm_queued: 1, confirm_height: 1}, {sparse: true});
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,19 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+var ReorgSchema = new Schema({
+  coin: { type: String },
+  // last height where the index and the node agree
+  fork_height: { type: Number, default: 0, index: true },
+  // height the index had reached when the reorg was detected
+  tip_height: { type: Number, default: 0 },
+  orphaned: { type: Array, default: [] },
+  txs_removed: { type: Number, default: 0 },
+  timestamp: { type: Date, default: Date.now, index: true },
+}, {id: false});
+
+module.exports = mongoose.model('Reorg', ReorgSchema);
+
+/*
+orphaned : [{ height: 0, hash: '' }]
+*/
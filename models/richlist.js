@@ -5,6 +5,10 @@ var RichlistSchema = new Schema({
   coin: { type: String },	
   received: { type: Array, default: []},
   balance: { type: Array, default: [] },
+  // satoshis held by settings.richlist.excluded addresses
+  excluded_balance: { type: Number, default: 0 },
+  // see lib/explorer get_distribution_stats
+  distribution: { type: Object, default: null },
 });
 
 module.exports = mongoose.model('Richlist', RichlistSchema);
\ No newline at end of file
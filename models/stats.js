@@ -11,6 +11,18 @@ var StatsSchema = new Schema({
   //last_txs: { type: Array, default: [] },
   connections: { type: Number, default: 0 },
   last_price: { type: Number, default: 0 },
+  // progress of the running (or last) index sync
+  sync: {
+    running: { type: Boolean, default: false },
+    mode: { type: String, default: '' },
+    start_height: { type: Number, default: 0 },
+    height: { type: Number, default: 0 },
+    target: { type: Number, default: 0 },
+    blocks_per_second: { type: Number, default: 0 },
+    eta: { type: Number, default: 0 }, // seconds
+    started: { type: Date },
+    updated: { type: Date },
+  },
 });
 
 module.exports = mongoose.model('coinstats', StatsSchema);
\ No newline at end of file
@@ -3,8 +3,20 @@ var mongoose = require('mongoose')
  
 var TxSchema = new Schema({
   txid: { type: String, lowercase: true, unique: true, index: true},
+  // coinbase, coinstake or regular
+  type: { type: String, default: 'regular', index: true },
+  // satoshis generated by a coinbase or coinstake tx
+  reward: { type: Number, default: 0 },
+  // satoshis paid by a regular tx, rate in satoshis per (virtual) byte
+  fee: { type: Number, default: 0 },
+  fee_rate: { type: Number, default: 0 },
+  size: { type: Number, default: 0 },
   vin: { type: Array, default: [] },
   vout: { type: Array, default: [] },
+  // [{type, count, value}] of every raw output by scriptPubKey type
+  script_types: { type: Array, default: [] },
+  // [{n, hex, utf8}] payloads of the OP_RETURN outputs
+  op_return: { type: Array, default: [] },
   total: { type: Number, default: 0, index: true },
   timestamp: { type: Number, default: 0, index: true },
   blockhash: { type: String, index: true },
@@ -12,5 +24,6 @@ var TxSchema = new Schema({
 }, {id: false});
 
 TxSchema.index({total: 1, total: -1, blockindex: 1, blockindex: -1});
+TxSchema.index({'op_return.hex': 1}, {sparse: true});
 
 module.exports = mongoose.model('Tx', TxSchema);
@@ -0,0 +1,18 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+var UtxoSchema = new Schema({
+  txid: { type: String, lowercase: true, index: true },
+  n: { type: Number, default: 0 },
+  address: { type: String, default: '', index: true },
+  amount: { type: Number, default: 0 },
+  height: { type: Number, default: 0, index: true },
+  spent: { type: Boolean, default: false },
+  spent_txid: { type: String, lowercase: true, default: null, index: true },
+  spent_height: { type: Number, default: null },
+}, {id: false});
+
+UtxoSchema.index({txid: 1, n: 1}, {unique: true});
+UtxoSchema.index({address: 1, spent: 1, height: -1});
+
+module.exports = mongoose.model('Utxo', UtxoSchema);
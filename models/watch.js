@@ -0,0 +1,17 @@
+var mongoose = require('mongoose')
+  , Schema = mongoose.Schema;
+
+// an address watched for payment notifications (see lib/webhooks).
+// owner is the sha256 of the api key that registered it.
+var WatchSchema = new Schema({
+  a_id: { type: String, index: true },
+  url: { type: String },
+  // hmac key of the X-Explorer-Signature header, empty to send unsigned
+  secret: { type: String, default: '' },
+  // depth of the confirmed notification
+  confirmations: { type: Number, default: 6 },
+  owner: { type: String, index: true },
+  created: { type: Date, default: Date.now },
+}, {id: false});
+
+module.exports = mongoose.model('Watch', WatchSchema);
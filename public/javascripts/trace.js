@@ -0,0 +1,190 @@
+// draws the graph returned by /ext/trace/:txid as columns of txs and
+// addresses, value flowing left to right. the traced tx is the first column
+// of a forward trace and the last one of a backward trace.
+function trace_graph(element, json, options) {
+  var SVG = 'http://www.w3.org/2000/svg';
+  var col_width = 190;
+  var row_height = 46;
+  var node_width = 150;
+  var node_height = 32;
+  var nodes = {};
+  var columns = [];
+
+  function svg(name, attrs, parent) {
+    var el = document.createElementNS(SVG, name);
+    for (var key in attrs) {
+      el.setAttribute(key, attrs[key]);
+    }
+    if (parent) {
+      parent.appendChild(el);
+    }
+    return el;
+  }
+
+  function coins(amount) {
+    return amount.toLocaleString('en', {'minimumFractionDigits': 2, 'maximumFractionDigits': 8, 'useGrouping': true});
+  }
+
+  function short(hash) {
+    return hash.length > 16 ? hash.substr(0, 8) + '..' + hash.substr(-6) : hash;
+  }
+
+  json.nodes.forEach(function(node) {
+    node.links = [];
+    nodes[node.id] = node;
+  });
+  json.edges.forEach(function(edge) {
+    nodes[edge.from].links.push(edge);
+    nodes[edge.to].links.push(edge);
+  });
+
+  // txs sit at column 2 * hop, an address next to the nearest tx it links
+  var max_col = 0;
+  json.nodes.forEach(function(node) {
+    if (node.type == 'tx') {
+      node.col = node.hop * 2;
+    } else {
+      var hop = null;
+      node.links.forEach(function(edge) {
+        var tx = nodes[edge.from == node.id ? edge.to : edge.from];
+        hop = (hop === null || tx.hop < hop) ? tx.hop : hop;
+      });
+      node.col = (hop || 0) * 2 + 1;
+    }
+    max_col = Math.max(max_col, node.col);
+  });
+  json.nodes.forEach(function(node) {
+    if (json.direction == 'backward') {
+      node.col = max_col - node.col;
+    }
+    columns[node.col] = columns[node.col] || [];
+    node.row = columns[node.col].length;
+    columns[node.col].push(node);
+  });
+  var rows = 0;
+  columns.forEach(function(column) {
+    rows = Math.max(rows, column ? column.length : 0);
+  });
+
+  var width = (max_col + 1) * col_width;
+  var height = rows * row_height + 10;
+  var root = svg('svg', {width: width, height: height, 'class': 'trace-svg'});
+  var edge_layer = svg('g', {}, root);
+  var node_layer = svg('g', {}, root);
+  var max_amount = 0;
+  json.edges.forEach(function(edge) {
+    max_amount = Math.max(max_amount, edge.amount);
+  });
+
+  function position(node) {
+    var column = columns[node.col];
+    var offset = (rows - column.length) * row_height / 2;
+    return {x: node.col * col_width + 10, y: offset + node.row * row_height + 5};
+  }
+
+  json.edges.forEach(function(edge) {
+    var a = position(nodes[edge.from]);
+    var b = position(nodes[edge.to]);
+    var x1 = a.x + node_width;
+    var y1 = a.y + node_height / 2;
+    var x2 = b.x;
+    var y2 = b.y + node_height / 2;
+    var bend = Math.max(30, Math.abs(x2 - x1) / 2);
+    var weight = max_amount > 0 ? 1 + 5 * Math.log(1 + edge.amount) / Math.log(1 + max_amount) : 1;
+    edge.el = svg('path', {
+      d: 'M' + x1 + ',' + y1 + ' C' + (x1 + bend) + ',' + y1 + ' ' + (x2 - bend) + ',' + y2 + ' ' + x2 + ',' + y2,
+      fill: 'none',
+      stroke: '#999',
+      'stroke-width': weight,
+      'stroke-opacity': 0.6
+    }, edge_layer);
+    svg('title', {}, edge.el).textContent = edge.outpoint + ': ' + coins(edge.amount) + ' ' + options.symbol;
+  });
+
+  function highlight(node, on) {
+    node.links.forEach(function(edge) {
+      edge.el.setAttribute('stroke', on ? '#428bca' : '#999');
+      edge.el.setAttribute('stroke-opacity', on ? 1 : 0.6);
+    });
+  }
+
+  json.nodes.forEach(function(node) {
+    var pos = position(node);
+    var group = svg('g', {transform: 'translate(' + pos.x + ',' + pos.y + ')', style: 'cursor:pointer;'}, node_layer);
+    var start = node.type == 'tx' && node.hop === 0;
+    svg('rect', {
+      width: node_width,
+      height: node_height,
+      rx: node.type == 'tx' ? 3 : 14,
+      fill: start ? '#f0ad4e' : (node.type == 'tx' ? '#428bca' : '#5cb85c'),
+      stroke: '#333',
+      'stroke-width': start ? 2 : 0
+    }, group);
+    var title;
+    var line1;
+    var line2;
+    if (node.type == 'tx') {
+      line1 = short(node.txid);
+      line2 = typeof node.total !== 'undefined' ? coins(node.total) + ' ' + options.symbol : '';
+      title = node.txid + (node.timestamp ? '\n' + new Date(node.timestamp * 1000).toUTCString() : '') +
+        (typeof node.height !== 'undefined' ? '\n#' + node.height : '');
+    } else {
+      line1 = node.label ? node.label.name : (node.address ? short(node.address) : '?');
+      var received = 0;
+      node.links.forEach(function(edge) {
+        if (edge.to == node.id) {
+          received += edge.amount;
+        }
+      });
+      line2 = coins(received) + ' ' + options.symbol;
+      title = node.address || node.id;
+    }
+    svg('title', {}, group).textContent = title;
+    svg('text', {x: 8, y: 13, fill: '#fff', 'font-size': 11, 'font-family': 'monospace'}, group).textContent = line1;
+    svg('text', {x: 8, y: 26, fill: '#fff', 'font-size': 10}, group).textContent = line2;
+    group.addEventListener('mouseenter', function() { highlight(node, true); });
+    group.addEventListener('mouseleave', function() { highlight(node, false); });
+    group.addEventListener('click', function() {
+      if (node.type == 'tx') {
+        window.location = '/trace/' + node.txid + '?direction=' + json.direction + '&hops=' + json.hops + '&min=' + json.min;
+      } else if (node.address) {
+        window.location = '/address/' + node.address;
+      }
+    });
+  });
+
+  element.innerHTML = '';
+  element.appendChild(root);
+}
+
+// one row per address the trace reached with what it received and whether
+// those outputs have been spent since
+function trace_addresses(tbody, json, text) {
+  var nodes = {};
+  var addresses = {};
+  var order = [];
+  json.nodes.forEach(function(node) {
+    nodes[node.id] = node;
+  });
+  json.edges.forEach(function(edge) {
+    if (edge.from.indexOf('tx:') !== 0) {
+      return;
+    }
+    if (!addresses[edge.to]) {
+      addresses[edge.to] = {node: nodes[edge.to], amount: 0, unspent: 0};
+      order.push(edge.to);
+    }
+    addresses[edge.to].amount += edge.amount;
+    if (!edge.spent) {
+      addresses[edge.to].unspent += edge.amount;
+    }
+  });
+  tbody.empty();
+  order.forEach(function(id) {
+    var entry = addresses[id];
+    var address = entry.node.address;
+    var cell = address ? '<a href="/address/' + encodeURIComponent(address) + '">' + $('<div>').text(address).html() + '</a>' + address_label_html(entry.node.label) : '-';
+    var state = entry.unspent > 0 ? '<span class="badge badge-success">' + text.unspent + ' ' + entry.unspent.toLocaleString('en', {'maximumFractionDigits': 8}) + '</span>' : '<span class="badge badge-secondary">' + text.spent + '</span>';
+    tbody.append('<tr><td>' + cell + '</td><td>' + entry.amount.toLocaleString('en', {'minimumFractionDigits': 2, 'maximumFractionDigits': 8}) + '</td><td>' + state + '</td></tr>');
+  });
+}
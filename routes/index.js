@@ -14,12 +14,12 @@ function route_get_block(res, blockhash) {
       } else {
         db.get_txs(block, function(txs) {
           if (txs.length > 0) {
-            res.render('block', { active: 'block', block: block, confirmations: settings.confirmations, txs: txs});
+            res.render('block', { active: 'block', block: block, confirmations: settings.confirmations, txs: txs, fee_summary: lib.get_fee_summary(txs)});
           } else {
             db.create_txs(block, function(){
               db.get_txs(block, function(ntxs) {
                 if (ntxs.length > 0) {
-                  res.render('block', { active: 'block', block: block, confirmations: settings.confirmations, txs: ntxs});
+                  res.render('block', { active: 'block', block: block, confirmations: settings.confirmations, txs: ntxs, fee_summary: lib.get_fee_summary(ntxs)});
                 } else {
                   route_get_index(res, 'Block not found: ' + blockhash);
                 }
@@ -61,12 +61,20 @@ function route_get_tx(res, txid) {
           if (rtx.txid) {
             lib.prepare_vin(rtx, function(vin) {
               lib.prepare_vout(rtx.vout, rtx.txid, vin, function(rvout, rvin) {
+                var kind = lib.classify_tx(rtx, vin);
+                var fee = lib.get_tx_fee(rtx, vin, kind.type);
                 lib.calculate_total(rvout, function(total){
                   if (!rtx.confirmations > 0) {
                     var utx = {
                       txid: rtx.txid,
+                      type: kind.type,
+                      reward: kind.reward,
+                      fee: fee.fee,
+                      fee_rate: fee.fee_rate,
+                      size: fee.size,
                       vin: rvin,
                       vout: rvout,
+                      op_return: lib.get_op_returns(rtx.vout),
                       total: total.toFixed(8),
                       timestamp: rtx.time,
                       blockhash: '-',
@@ -76,8 +84,14 @@ function route_get_tx(res, txid) {
                   } else {
                     var utx = {
                       txid: rtx.txid,
+                      type: kind.type,
+                      reward: kind.reward,
+                      fee: fee.fee,
+                      fee_rate: fee.fee_rate,
+                      size: fee.size,
                       vin: rvin,
                       vout: rvout,
+                      op_return: lib.get_op_returns(rtx.vout),
                       total: total.toFixed(8),
                       timestamp: rtx.time,
                       blockhash: rtx.blockhash,
@@ -99,13 +113,12 @@ function route_get_tx(res, txid) {
   }
 }
 
+// the progress bar is shown while sync is more than a block behind, so
+// watch mode indexing one new block doesn't flash it
 function route_get_index(res, error) {
-  db.is_locked(function(locked) {
-    if (locked) {
-      res.render('index', { active: 'home', error: error, warning: locale.initial_index_alert});
-    } else {
-      res.render('index', { active: 'home', error: error, warning: null});
-    }
+  db.get_sync_status(settings.coin, function(status) {
+    var syncing = status !== null && status.running && status.target - status.height > 1;
+    res.render('index', { active: 'home', error: error, warning: null, syncing: syncing});
   });
 }
 
@@ -113,17 +126,59 @@ function route_get_address(res, hash, count) {
   db.get_address(hash, function(address) {
     if (address) {
       var txs = [];
-      res.render('address', { active: 'address', address: address, txs: txs});
+      db.get_address_mempool(hash, function(mempool) {
+        // net amount of each pending tx for this address, in satoshis
+        var pending = [];
+        for (var i = 0; i < mempool.length; i++) {
+          var amount = 0;
+          mempool[i].vout.forEach(function(r) {
+            if (r.addresses == hash) {
+              amount += r.amount;
+            }
+          });
+          mempool[i].vin.forEach(function(s) {
+            if (s.addresses == hash) {
+              amount -= s.amount;
+            }
+          });
+          pending.push({txid: mempool[i].txid, timestamp: mempool[i].timestamp, amount: amount});
+        }
+        var render = function(cluster) {
+          res.render('address', { active: 'address', address: address, txs: txs, pending: pending, cluster: cluster});
+        };
+        if (!address.cluster) {
+          return render(null);
+        }
+        db.get_cluster(hash, 0, (settings.cluster && settings.cluster.panel_addresses) || 10, render);
+      });
     } else {
       route_get_index(res, hash + ' not found');
     }
   });
 }
 
+// last resort for /search: the query as (a prefix of) an OP_RETURN payload
+function route_search_data(res, query) {
+  if (!/^[0-9a-fA-F]{2,}$/.test(query)) {
+    return route_get_index(res, locale.ex_search_error + query);
+  }
+  db.search_op_return(query, settings.txcount, function(txs) {
+    if (txs.length == 1) {
+      res.redirect('/tx/' + txs[0].txid);
+    } else if (txs.length > 1) {
+      res.render('searchdata', { active: 'searchdata', hex: query.toLowerCase(), txs: txs});
+    } else {
+      route_get_index(res, locale.ex_search_error + query);
+    }
+  });
+}
+
 function route_get_claim_form(res, hash){
   db.get_address(hash, function(address) {
     if (address) {
-      res.render("claim_address", { active: "address", address: address});
+      db.get_claims(hash, 10, function(claims) {
+        res.render("claim_address", { active: "address", address: address, claims: claims});
+      });
     } else {
       route_get_index(res, hash + ' not found');
     }
@@ -172,14 +227,8 @@ router.get('/richlist', function(req, res) {
             //console.log(distribution);
             res.render('richlist', {
               active: 'richlist',
-              balance: richlist.balance,
-              received: richlist.received,
               stats: stats,
-              dista: distribution.t_1_25,
-              distb: distribution.t_26_50,
-              distc: distribution.t_51_75,
-              distd: distribution.t_76_100,
-              diste: distribution.t_101plus,
+              distribution: distribution,
               show_dist: settings.richlist.distribution,
               show_received: settings.richlist.received,
               show_balance: settings.richlist.balance,
@@ -196,7 +245,31 @@ router.get('/richlist', function(req, res) {
 });
 
 router.get('/movement', function(req, res) {
-  res.render('movement', {active: 'movement', flaga: settings.movement.low_flag, flagb: settings.movement.high_flag, min_amount:settings.movement.min_amount});
+  res.render('movement', {active: 'movement', flaga: settings.movement.low_flag, flagb: settings.movement.high_flag, min_amount:settings.movement.min_amount, hide_rewards: settings.movement.hide_rewards !== false});
+});
+
+router.get('/blocks', function(req, res) {
+  if (settings.display.blocks !== false) {
+    res.render('blocks', {active: 'blocks'});
+  } else {
+    route_get_index(res, null);
+  }
+});
+
+router.get('/mempool', function(req, res) {
+  if (settings.display.mempool !== false) {
+    res.render('mempool', {active: 'mempool'});
+  } else {
+    route_get_index(res, null);
+  }
+});
+
+router.get('/charts', function(req, res) {
+  if (settings.display.charts !== false) {
+    res.render('charts', {active: 'charts'});
+  } else {
+    route_get_index(res, null);
+  }
 });
 
 router.get('/network', function(req, res) {
@@ -228,6 +301,20 @@ router.get('/tx/:txid', function(req, res) {
   route_get_tx(res, req.params.txid);
 });
 
+router.get('/trace/:txid', function(req, res) {
+  if (settings.display.trace === false) {
+    return route_get_index(res, null);
+  }
+  res.render('trace', {
+    active: 'tx',
+    txid: req.params.txid,
+    direction: req.query.direction == 'backward' ? 'backward' : 'forward',
+    hops: req.query.hops || '',
+    min: req.query.min || '',
+    max_hops: (settings.trace && settings.trace.max_hops) || 5,
+  });
+});
+
 router.get('/block/:hash', function(req, res) {
   route_get_block(res, req.params.hash);
 });
@@ -258,7 +345,7 @@ router.post('/search', function(req, res) {
             if (block != 'There was an error. Check your console.') {
               res.redirect('/block/' + query);
             } else {
-              route_get_index(res, locale.ex_search_error + query );
+              route_search_data(res, query);
             }
           });
         }
@@ -273,7 +360,7 @@ router.post('/search', function(req, res) {
           if (hash != 'There was an error. Check your console.') {
             res.redirect('/block/' + hash);
           } else {
-            route_get_index(res, locale.ex_search_error + query );
+            route_search_data(res, query);
           }
         });
       }
@@ -295,38 +382,8 @@ router.get('/qr/:string', function(req, res) {
 });
 
 router.get('/ext/summary', function(req, res) {
-  lib.get_difficulty(function(difficulty) {
-    difficultyHybrid = ''
-    if (difficulty['proof-of-work']) {
-      if (settings.index.difficulty == 'Hybrid') {
-        difficultyHybrid = 'POS: ' + difficulty['proof-of-stake'];
-        difficulty = 'POW: ' + difficulty['proof-of-work'];
-      } else if (settings.index.difficulty == 'POW') {
-        difficulty = difficulty['proof-of-work'];
-      } else {
-        difficulty = difficulty['proof-of-stake'];
-      }
-    }
-    lib.get_hashrate(function(hashrate) {
-      lib.get_connectioncount(function(connections){
-        lib.get_blockcount(function(blockcount) {
-          db.get_stats(settings.coin, function (stats) {
-            if (hashrate == 'There was an error. Check your console.') {
-              hashrate = 0;
-            }
-            res.send({ data: [{
-              difficulty: difficulty,
-              difficultyHybrid: difficultyHybrid,
-              supply: stats.supply,
-              hashrate: hashrate,
-              lastPrice: stats.last_price,
-              connections: connections,
-              blockcount: blockcount
-            }]});
-          });
-        });
-      });
-    });
+  db.get_summary(function(summary) {
+    res.send({ data: [summary] });
   });
 });
 module.exports = router;
@@ -0,0 +1,57 @@
+var express = require('express')
+  , router = express.Router()
+  , webhooks = require('../lib/webhooks');
+
+// every request needs one of webhooks.api_keys, as an X-Api-Key header or a
+// bearer token. watches are only visible to the key that registered them.
+router.use(function(req, res, next) {
+  if (!webhooks.enabled()) {
+    return res.status(404).json({error: 'webhooks are disabled.'});
+  }
+  var key = req.get('X-Api-Key');
+  var auth = req.get('Authorization');
+  if (!key && auth && auth.indexOf('Bearer ') === 0) {
+    key = auth.substr(7);
+  }
+  req.owner = webhooks.authenticate(key);
+  if (!req.owner) {
+    return res.status(401).json({error: 'invalid api key.'});
+  }
+  next();
+});
+
+router.get('/', function(req, res) {
+  webhooks.list_watches(req.owner, function(watches) {
+    res.json({watches: watches});
+  });
+});
+
+router.post('/', function(req, res) {
+  webhooks.create_watch(req.owner, req.body || {}, function(err, watch) {
+    if (err) {
+      return res.status(400).json({error: err});
+    }
+    res.status(201).json(watch);
+  });
+});
+
+// the watch and its latest 50 deliveries with their attempt log
+router.get('/:id', function(req, res) {
+  webhooks.get_watch(req.owner, req.params.id, 50, function(watch, deliveries) {
+    if (!watch) {
+      return res.status(404).json({error: 'watch not found.'});
+    }
+    res.json({watch: watch, deliveries: deliveries});
+  });
+});
+
+router.delete('/:id', function(req, res) {
+  webhooks.remove_watch(req.owner, req.params.id, function(removed) {
+    if (!removed) {
+      return res.status(404).json({error: 'watch not found.'});
+    }
+    res.json({removed: req.params.id});
+  });
+});
+
+module.exports = router;
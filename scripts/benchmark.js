@@ -1,13 +1,27 @@
 var mongoose = require('mongoose')
   , db = require('../lib/database')
-  , Tx = require('../models/tx')  
-  , Address = require('../models/address')  
+  , lib = require('../lib/explorer')
+  , Tx = require('../models/tx')
+  , Address = require('../models/address')
+  , AddressTx = require('../models/addresstx')
+  , Block = require('../models/block')
+  , Utxo = require('../models/utxo')
   , settings = require('../lib/settings');
 
 
 var COUNT = 5000; //number of blocks to index
 
-function exit() {  
+// node scripts/benchmark.js [count] [rpc]
+// pass 'rpc' to resolve every input over rpc, as before the local index lookup
+if (!isNaN(process.argv[2])) {
+  COUNT = parseInt(process.argv[2]);
+}
+if (process.argv.indexOf('rpc') > -1) {
+  settings.local_input_lookup = false;
+  settings.tx_cache_size = 0;
+}
+
+function exit() {
   mongoose.disconnect();
   process.exit(0);
 }
@@ -24,23 +38,32 @@ mongoose.connect(dbString, function(err) {
     console.log('Aborting');
     exit();
   }
-  Tx.remove({}, function(err) { 
-    Address.remove({}, function(err2) { 
-      var s_timer = new Date().getTime();
-      db.update_tx_db(settings.coin, 1, COUNT, settings.update_timeout, function(){
-        var e_timer = new Date().getTime();
-        Tx.count({}, function(txerr, txcount){
-          Address.count({}, function(aerr, acount){
-            var stats = {
-              tx_count: txcount,
-              address_count: acount,
-              seconds: (e_timer - s_timer)/1000,
-            };
-            console.log(stats);
-            exit();
+  Tx.deleteMany({}, function(err) {
+    Address.deleteMany({}, function(err2) {
+      AddressTx.deleteMany({}, function(err3) {
+        Block.deleteMany({}, function(err4) {
+          Utxo.deleteMany({}, function(err5) {
+            var s_timer = new Date().getTime();
+            db.update_tx_db(settings.coin, 1, COUNT, settings.update_timeout, function(){
+              var e_timer = new Date().getTime();
+              Tx.countDocuments({}, function(txerr, txcount){
+                Address.countDocuments({}, function(aerr, acount){
+                  var seconds = (e_timer - s_timer)/1000;
+                  var stats = {
+                    tx_count: txcount,
+                    address_count: acount,
+                    seconds: seconds,
+                    blocks_per_second: (COUNT / seconds).toFixed(2),
+                    input_lookups: lib.get_input_lookups(),
+                  };
+                  console.log(stats);
+                  exit();
+                });
+              });
+            });
           });
         });
       });
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,101 @@
+var mongoose = require('mongoose')
+  , fs = require('fs')
+  , settings = require('../lib/settings')
+  , labels = require('../lib/labels')
+  , Label = require('../models/label');
+
+function usage() {
+  console.log('Usage: node scripts/labels.js [command]');
+  console.log('');
+  console.log('list                                 Lists the labels collection');
+  console.log('set <address> <category> <name> [url] Adds or replaces a label');
+  console.log('remove <address>                     Removes a label');
+  console.log('import <file>                        Adds or replaces the labels of a JSON file');
+  console.log('                                     ({"address": {"name", "category", "url"}})');
+  console.log('');
+  console.log('categories: ' + labels.categories.join(', '));
+  console.log('running explorers pick up changes within address_labels.refresh seconds.');
+  process.exit(0);
+}
+
+function exit() {
+  mongoose.disconnect();
+  process.exit(0);
+}
+
+function save(hash, entry, cb) {
+  var label = labels.normalise(entry);
+  if (!label) {
+    console.log('skipping %s: name required', hash);
+    return cb();
+  }
+  if (entry.category && label.category !== entry.category) {
+    console.log('%s: unknown category %s, stored without one', hash, entry.category);
+  }
+  Label.updateOne({a_id: hash}, {
+    $set: {a_id: hash, name: label.name, category: label.category, url: label.url}
+  }, {upsert: true}, function(err) {
+    if (err) {
+      console.log(err);
+    }
+    return cb();
+  });
+}
+
+var command = process.argv[2];
+if (['list', 'set', 'remove', 'import'].indexOf(command) < 0
+  || (command == 'set' && process.argv.length < 6)
+  || ((command == 'remove' || command == 'import') && process.argv.length < 4)) {
+  usage();
+}
+
+var dbString = 'mongodb://' + settings.dbsettings.user;
+dbString = dbString + ':' + settings.dbsettings.password;
+dbString = dbString + '@' + settings.dbsettings.address;
+dbString = dbString + ':' + settings.dbsettings.port;
+dbString = dbString + '/' + settings.dbsettings.database;
+
+mongoose.connect(dbString, function(err) {
+  if (err) {
+    console.log('Unable to connect to database: %s', dbString);
+    console.log('Aborting');
+    return exit();
+  }
+  if (command == 'list') {
+    Label.find({}).sort({a_id: 1}).exec(function(err, docs) {
+      for (var i = 0; i < (docs || []).length; i++) {
+        console.log('%s  %s  %s  %s', docs[i].a_id, docs[i].category || '-', docs[i].name, docs[i].url);
+      }
+      exit();
+    });
+  } else if (command == 'set') {
+    save(process.argv[3], {category: process.argv[4], name: process.argv[5], url: process.argv[6]}, function() {
+      console.log('label saved');
+      exit();
+    });
+  } else if (command == 'remove') {
+    Label.deleteOne({a_id: process.argv[3]}, function(err, result) {
+      console.log('%s label(s) removed', result ? result.deletedCount : 0);
+      exit();
+    });
+  } else {
+    var entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(process.argv[3], 'utf8'));
+    } catch (e) {
+      console.log('unable to read %s: %s', process.argv[3], e.message);
+      return exit();
+    }
+    var hashes = Object.keys(entries);
+    var next = function(i) {
+      if (i >= hashes.length) {
+        console.log('%s labels imported', hashes.length);
+        return exit();
+      }
+      save(hashes[i], entries[hashes[i]], function() {
+        next(i + 1);
+      });
+    };
+    next(0);
+  }
+});
@@ -5,11 +5,22 @@ var mongoose = require('mongoose')
   , AddressTx = require('../models/addresstx')
   , Richlist = require('../models/richlist')
   , Stats = require('../models/stats')
+  , Block = require('../models/block')
+  , Utxo = require('../models/utxo')
+  , Daily = require('../models/daily')
+  , Mempool = require('../models/mempool')
+  , Notification = require('../models/notification')
   , settings = require('../lib/settings')
+  , blocknotify = require('../lib/blocknotify')
+  , verify = require('../lib/verify')
+  , webhooks = require('../lib/webhooks')
   , fs = require('fs');
 
 var mode = 'update';
 var database = 'index';
+var repair = false;
+var sample_size = 100;
+var report_file = './tmp/verify-report.json';
 
 // displays usage and exits
 function usage() {
@@ -23,12 +34,19 @@ function usage() {
   console.log('update       Updates index from last sync to current block');
   console.log('check        checks index for (and adds) any missing transactions/addresses');
   console.log('reindex      Clears index then resyncs from genesis to current block');
+  console.log('watch        Stays running and indexes each new block as it arrives');
+  console.log('verify       Checks the index against itself and the node, writes a report');
+  console.log('             [--repair] fixes mismatched addresses');
+  console.log('             [--sample=N] number of random txs to check (default 100)');
+  console.log('             [--report=FILE] report location (default ./tmp/verify-report.json)');
   console.log('');
   console.log('notes:');
   console.log('* \'current block\' is the latest created block when script is executed.');
   console.log('* The market database only supports (& defaults to) reindex mode.');
   console.log('* If check mode finds missing data(ignoring new data since last sync),');
   console.log('  index_timeout in settings.json is set too low.')
+  console.log('* watch mode listens for blocks via zmq and/or a -blocknotify hook');
+  console.log('  (see sync in settings.json) and polls every sync.poll_interval seconds.');
   console.log('');
   process.exit(0);
 }
@@ -52,6 +70,24 @@ if (process.argv[2] == 'index') {
       case 'reindex-rich':
         mode = 'reindex-rich';
         break;
+      case 'watch':
+        mode = 'watch';
+        break;
+      case 'verify':
+        mode = 'verify';
+        for (var a = 4; a < process.argv.length; a++) {
+          var arg = process.argv[a];
+          if (arg == '--repair') {
+            repair = true;
+          } else if (arg.indexOf('--sample=') == 0 && !isNaN(arg.substr(9))) {
+            sample_size = parseInt(arg.substr(9));
+          } else if (arg.indexOf('--report=') == 0 && arg.length > 9) {
+            report_file = arg.substr(9);
+          } else {
+            usage();
+          }
+        }
+        break;
       default:
         usage();
     }
@@ -116,6 +152,173 @@ function exit() {
   });
 }
 
+function update_richlists(cb) {
+  db.update_richlist('received', function(){
+    db.update_richlist('balance', function(){
+      return cb();
+    });
+  });
+}
+
+// keeps the index in sync until interrupted. every announced block (or poll)
+// indexes up to the current tip, notifications arriving mid-run queue one
+// more run, then today's daily stats are rolled up, due webhook
+// confirmations queued and the summary published to the live feed. the
+// richlist is refreshed every sync.richlist_interval seconds, the mempool
+// every sync.mempool_interval seconds and webhooks are delivered every
+// webhooks.interval seconds.
+function watch() {
+  var running = false;
+  var pending = false;
+  var stopping = false;
+  var indexed = false;
+  var rich_running = false;
+
+  function sync_tip(source) {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    pending = false;
+    db.update_db(settings.coin, function(stats) {
+      if (stats === false || (source == 'poll' && stats.last >= stats.count)) {
+        return done();
+      }
+      db.update_tx_db(settings.coin, stats.last, stats.count, settings.update_timeout, mode, function(err){
+        if (err) {
+          // retried with the next block
+          return done();
+        }
+        indexed = true;
+        console.log('%s: synced to block %s', source, stats.count);
+        db.update_daily_stats(function(){
+          webhooks.check_confirmations(stats.count, function(){
+            db.publish_summary(function(){
+              return done();
+            });
+          });
+        });
+      });
+    });
+  }
+
+  function done() {
+    running = false;
+    if (stopping) {
+      return exit();
+    }
+    if (pending) {
+      sync_tip('queued');
+    }
+  }
+
+  var rich_interval = parseInt((settings.sync || {}).richlist_interval);
+  if (isNaN(rich_interval) || rich_interval < 1) {
+    rich_interval = 600;
+  }
+  var rich_timer = setInterval(function() {
+    if (!indexed || rich_running) {
+      return;
+    }
+    indexed = false;
+    rich_running = true;
+    update_richlists(function(){
+      rich_running = false;
+      console.log('richlist updated');
+    });
+  }, rich_interval * 1000);
+
+  var mempool_interval = parseInt((settings.sync || {}).mempool_interval);
+  if (isNaN(mempool_interval) || mempool_interval < 1) {
+    mempool_interval = 15;
+  }
+  var mempool_running = false;
+  var mempool_timer = setInterval(function() {
+    if (mempool_running) {
+      return;
+    }
+    mempool_running = true;
+    db.update_mempool(function(){
+      mempool_running = false;
+    });
+  }, mempool_interval * 1000);
+
+  // webhook deliveries and their retries
+  var deliver_interval = parseInt((settings.webhooks || {}).interval);
+  if (isNaN(deliver_interval) || deliver_interval < 1) {
+    deliver_interval = 10;
+  }
+  var delivering = false;
+  var deliver_timer = setInterval(function() {
+    if (delivering) {
+      return;
+    }
+    delivering = true;
+    webhooks.deliver(function(){
+      delivering = false;
+    });
+  }, deliver_interval * 1000);
+
+  var stop_listening = blocknotify.listen(function(source, hash) {
+    if (!stopping) {
+      sync_tip(source);
+    }
+  });
+
+  function shutdown() {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    console.log('stopping watch..');
+    stop_listening();
+    clearInterval(rich_timer);
+    clearInterval(mempool_timer);
+    clearInterval(deliver_timer);
+    if (!running) {
+      exit();
+    }
+  }
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  sync_tip('startup');
+}
+
+// checks addresses, supply and a sample of txs, then writes the report.
+// inputs are resolved over rpc so the tx check doesn't trust the index.
+function run_verify() {
+  settings.local_input_lookup = false;
+  var report = {
+    coin: settings.coin,
+    generated: new Date().toISOString(),
+    repair: repair,
+  };
+  console.log('verifying addresses%s..', repair ? ' (repair)' : '');
+  verify.addresses(repair, function(addresses) {
+    report.addresses = addresses;
+    console.log('addresses: %s checked, %s mismatched, %s negative, %s repaired', addresses.checked, addresses.mismatched, addresses.negative, addresses.repaired);
+    verify.supply(function(supply) {
+      report.supply = supply;
+      console.log('supply: index %s, node %s, difference %s (index block %s, node block %s)', supply.addresses, supply.node, supply.difference, supply.index_height, supply.node_height);
+      console.log('verifying %s random txs..', sample_size);
+      verify.txs(sample_size, function(txs) {
+        report.txs = txs;
+        console.log('txs: %s checked, %s mismatched', txs.checked, txs.mismatched);
+        fs.writeFile(report_file, JSON.stringify(report, null, 2), function(err) {
+          if (err) {
+            console.log('Error: unable to write %s', report_file);
+          } else {
+            console.log('report written to %s', report_file);
+          }
+          exit();
+        });
+      });
+    });
+  });
+}
+
 var dbString = 'mongodb://' + settings.dbsettings.user;
 dbString = dbString + ':' + settings.dbsettings.password;
 dbString = dbString + '@' + settings.dbsettings.address;
@@ -153,23 +356,40 @@ is_locked(function (exists) {
                       console.log('Addresses cleared.');
                       AddressTx.deleteMany({}, function(err3) {
                         console.log('Address TXs cleared.');
-                        Richlist.updateOne({coin: settings.coin}, {
-                          received: [],
-                          balance: [],
-                        }, function(err3) { 
-                          Stats.updateOne({coin: settings.coin}, { 
-                            last: 0,
-                            count: 0,
-                            supply: 0,
-                          }, function() {
-                            console.log('index cleared (reindex)');
-                          }); 
-                          db.update_tx_db(settings.coin, 1, stats.count, settings.update_timeout, function(){
-                            db.update_richlist('received', function(){
-                              db.update_richlist('balance', function(){
-                                db.get_stats(settings.coin, function(nstats){
-                                  console.log('reindex complete (block: %s)', nstats.last);
-                                  exit();
+                        Block.deleteMany({}, function(err4) {
+                          console.log('Blocks cleared.');
+                          Utxo.deleteMany({}, function(err5) {
+                            console.log('Outpoints cleared.');
+                            Daily.deleteMany({}, function(err6) {
+                              console.log('Daily stats cleared.');
+                              Mempool.deleteMany({}, function(err7) {
+                                console.log('Mempool cleared.');
+                                Notification.deleteMany({}, function(err8) {
+                                  console.log('Webhook notifications cleared.');
+                                  Richlist.updateOne({coin: settings.coin}, {
+                                    received: [],
+                                    balance: [],
+                                  }, function(err3) { 
+                                    Stats.updateOne({coin: settings.coin}, { 
+                                      last: 0,
+                                      count: 0,
+                                      supply: 0,
+                                    }, function() {
+                                      console.log('index cleared (reindex)');
+                                    }); 
+                                    db.update_tx_db(settings.coin, 1, stats.count, settings.update_timeout, mode, function(){
+                                      db.update_richlist('received', function(){
+                                        db.update_richlist('balance', function(){
+                                          db.update_daily_stats(function(){
+                                            db.get_stats(settings.coin, function(nstats){
+                                              console.log('reindex complete (block: %s)', nstats.last);
+                                              exit();
+                                            });
+                                          });
+                                        });
+                                      });
+                                    });
+                                  });
                                 });
                               });
                             });
@@ -179,26 +399,49 @@ is_locked(function (exists) {
                     });
                   });
                 } else if (mode == 'check') {
-                  db.update_tx_db(settings.coin, 1, stats.count, settings.check_timeout, function(){
+                  db.update_tx_db(settings.coin, 1, stats.count, settings.check_timeout, mode, function(err){
+                    if (err) {
+                      return exit();
+                    }
                     db.get_stats(settings.coin, function(nstats){
                       console.log('check complete (block: %s)', nstats.last);
                       exit();
                     });
                   });
                 } else if (mode == 'update') {
-                  db.update_tx_db(settings.coin, stats.last, stats.count, settings.update_timeout, function(){
+                  db.update_tx_db(settings.coin, stats.last, stats.count, settings.update_timeout, mode, function(err){
+                    if (err) {
+                      return exit();
+                    }
                     db.update_richlist('received', function(){
                       db.update_richlist('balance', function(){
-                        db.get_stats(settings.coin, function(nstats){
-                          console.log('update complete (block: %s)', nstats.last);
-                          exit();
+                        db.update_mempool(function(){
+                          db.update_daily_stats(function(){
+                            db.get_stats(settings.coin, function(nstats){
+                              webhooks.check_confirmations(nstats.last, function(){
+                                webhooks.deliver(function(){
+                                  db.publish_summary(function(){
+                                    console.log('update complete (block: %s)', nstats.last);
+                                    exit();
+                                  });
+                                });
+                              });
+                            });
+                          });
                         });
                       });
                     });
                   });
+                } else if (mode == 'watch') {
+                  watch();
+                } else if (mode == 'verify') {
+                  run_verify();
                 } else if (mode == 'reindex-rich') {
                   console.log('update started');
-                  db.update_tx_db(settings.coin, stats.last, stats.count, settings.check_timeout, function(){
+                  db.update_tx_db(settings.coin, stats.last, stats.count, settings.check_timeout, mode, function(err){
+                    if (err) {
+                      return exit();
+                    }
                     console.log('update finished');
                     db.check_richlist(settings.coin, function(exists){
                       if (exists == true) {
@@ -0,0 +1,529 @@
+describe('database', function() {
+  var db = require('../lib/database');
+  var lib = require('../lib/explorer');
+  var Address = require('../models/address');
+  var AddressTx = require('../models/addresstx');
+  var Tx = require('../models/tx');
+  var Utxo = require('../models/utxo');
+  var settings = require('../lib/settings');
+  var fake_db = require('./helpers/fake_db');
+  var COIN = 100000000;
+
+  // 64 hex chars, as get_blockhash returns
+  function hex(label) {
+    return (Buffer.from(label).toString('hex') + '0'.repeat(64)).substr(0, 64);
+  }
+
+  function txid(block_label, i) {
+    return hex(block_label + ':' + i);
+  }
+
+  // a node serving the blocks it mined. each tx is {inputs: [[txid, n]],
+  // outputs: [[address, coins]]}, txs without inputs are coinbase txs.
+  function fake_node() {
+    var node = {blocks: [], txs: {}};
+    node.mine = function(label, txs) {
+      var height = node.blocks.length + 1;
+      var block = {hash: hex(label), height: height, time: 1500000000 + height * 600, size: 250, difficulty: '1', tx: []};
+      txs.forEach(function(tx, i) {
+        var raw = {
+          txid: txid(label, i),
+          time: block.time,
+          blockhash: block.hash,
+          vin: tx.inputs ? tx.inputs.map(function(input) {
+            return {txid: input[0], vout: input[1]};
+          }) : [{coinbase: '00'}],
+          vout: tx.outputs.map(function(output, n) {
+            return {n: n, value: output[1], scriptPubKey: {type: 'pubkeyhash', addresses: [output[0]]}};
+          }),
+        };
+        node.txs[raw.txid] = raw;
+        block.tx.push(raw.txid);
+      });
+      node.blocks.push(block);
+      return block;
+    };
+    // a tx the node has but no block holds yet
+    node.send = function(label, tx) {
+      var raw = {
+        txid: hex(label),
+        time: 1600000000,
+        vin: tx.inputs.map(function(input) {
+          return {txid: input[0], vout: input[1]};
+        }),
+        vout: tx.outputs.map(function(output, n) {
+          return {n: n, value: output[1], scriptPubKey: {type: 'pubkeyhash', addresses: [output[0]]}};
+        }),
+      };
+      node.txs[raw.txid] = raw;
+      return raw.txid;
+    };
+    // drops the blocks above height, the next mined ones replace them
+    node.reorg = function(height) {
+      node.blocks = node.blocks.slice(0, height);
+    };
+    spyOn(lib, 'get_blockhash').and.callFake(function(height, cb) {
+      var block = node.blocks[height - 1];
+      cb(block ? block.hash : null);
+    });
+    spyOn(lib, 'get_block').and.callFake(function(hash, cb) {
+      var block = node.blocks.filter(function(block) {
+        return block.hash == hash;
+      })[0];
+      cb(block ? JSON.parse(JSON.stringify(block)) : null);
+    });
+    spyOn(lib, 'get_rawtransaction').and.callFake(function(id, cb) {
+      cb(node.txs[id] ? JSON.parse(JSON.stringify(node.txs[id])) : null);
+    });
+    return node;
+  }
+
+  function address(store, hash) {
+    return store.address.filter(function(doc) {
+      return doc.a_id == hash;
+    })[0];
+  }
+
+  function totals(doc) {
+    return [doc.sent, doc.received, doc.balance];
+  }
+
+  // applies updateOne ops the way mongodb does, without schema defaults
+  function fake_collection(model) {
+    var docs = [];
+    var matches = function(doc, filter) {
+      return Object.keys(filter).every(function(key) {
+        return doc[key] === filter[key];
+      });
+    };
+    spyOn(model, 'bulkWrite').and.callFake(function(ops, options, cb) {
+      ops.forEach(function(op) {
+        var found = docs.filter(function(doc) {
+          return matches(doc, op.updateOne.filter);
+        });
+        if (found.length < 1 && op.updateOne.upsert) {
+          var doc = Object.assign({}, op.updateOne.filter, op.updateOne.update.$setOnInsert);
+          docs.push(doc);
+          found = [doc];
+        }
+        found.forEach(function(doc) {
+          Object.assign(doc, op.updateOne.update.$set);
+        });
+      });
+      cb(null);
+    });
+    spyOn(model, 'find').and.callFake(function(filter) {
+      var query = {
+        sort: function() {
+          return query;
+        },
+        exec: function(cb) {
+          cb(null, docs.filter(function(doc) {
+            return matches(doc, filter);
+          }));
+        }
+      };
+      return query;
+    });
+    return docs;
+  }
+
+  describe('get_utxos', function() {
+    it('should return the unspent outputs of an indexed block', function(done) {
+      var raw = {
+        txid: 'a1',
+        time: 1500000000,
+        blockhash: 'b1',
+        vin: [{coinbase: '04ffff001d'}],
+        vout: [
+          {n: 0, value: 40, scriptPubKey: {type: 'pubkeyhash', addresses: ['XA']}},
+          {n: 1, value: 10, scriptPubKey: {type: 'pubkeyhash', addresses: ['XA']}}
+        ]
+      };
+      spyOn(lib, 'get_rawtransaction').and.callFake(function(txid, cb) {
+        cb(raw);
+      });
+      [Address, AddressTx, Tx].forEach(function(model) {
+        spyOn(model, 'bulkWrite').and.callFake(function(ops, options, cb) {
+          cb(null);
+        });
+      });
+      fake_collection(Utxo);
+      db.create_txs({height: 1, tx: ['a1']}, function() {
+        db.get_utxos('XA', function(utxos) {
+          expect(utxos.map(function(utxo) {
+            return [utxo.txid, utxo.n, utxo.amount, utxo.spent];
+          })).toEqual([['a1', 0, 4000000000, false], ['a1', 1, 1000000000, false]]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('update_tx_db after a reorg', function() {
+    var store;
+    var node;
+
+    // block 2 spends the block 1 coinbase of XA to XC
+    beforeEach(function(done) {
+      spyOn(console, 'log');
+      store = fake_db();
+      store.stats.push({coin: settings.coin, last: 0});
+      node = fake_node();
+      node.mine('a1', [{outputs: [['XA', 50]]}]);
+      node.mine('a2', [{outputs: [['XB', 50]]}, {inputs: [[txid('a1', 0), 0]], outputs: [['XC', 30], ['XA', 20]]}]);
+      node.mine('a3', [{outputs: [['XB', 50]]}]);
+      db.update_tx_db(settings.coin, 0, 3, 0, 'update', function(err) {
+        expect(err).toBeFalsy();
+        node.reorg(1);
+        node.mine('b2', [{outputs: [['XD', 50]]}]);
+        node.mine('b3', [{outputs: [['XB', 50]]}]);
+        done();
+      });
+    });
+
+    it('should roll back to the fork height and index the new blocks', function(done) {
+      db.update_tx_db(settings.coin, 3, 3, 0, 'update', function(err) {
+        expect(err).toBeFalsy();
+        expect(store.reorg.length).toBe(1);
+        expect(store.reorg[0].fork_height).toBe(1);
+        expect(store.reorg[0].tip_height).toBe(3);
+        expect(store.reorg[0].txs_removed).toBe(3);
+        expect(store.stats[0].last).toBe(3);
+        expect(store.tx.map(function(tx) {
+          return tx.blockhash;
+        }).sort()).toEqual([hex('a1'), hex('b2'), hex('b3')].sort());
+        expect(totals(address(store, 'XA'))).toEqual([0, 50 * COIN, 50 * COIN]);
+        expect(totals(address(store, 'XB'))).toEqual([0, 50 * COIN, 50 * COIN]);
+        expect(totals(address(store, 'XC'))).toEqual([0, 0, 0]);
+        expect(store.addresstx.filter(function(row) {
+          return row.a_id == 'XC';
+        }).length).toBe(0);
+        var spent = store.utxo.filter(function(utxo) {
+          return utxo.txid == txid('a1', 0);
+        })[0];
+        expect(spent.spent).toBe(false);
+        done();
+      });
+    });
+
+    it('should reset first_block of addresses first seen in an orphaned block', function(done) {
+      db.update_tx_db(settings.coin, 3, 3, 0, 'update', function(err) {
+        expect(err).toBeFalsy();
+        expect(address(store, 'XA').first_block).toBe(1);
+        expect(address(store, 'XB').first_block).toBe(3);
+        expect(address(store, 'XC').first_block).toBeUndefined();
+        expect(address(store, 'XD').first_block).toBe(2);
+        done();
+      });
+    });
+
+    it('should not roll back while the node cannot be reached', function(done) {
+      lib.get_blockhash.and.callFake(function(height, cb) {
+        cb('There was an error. Check your console.');
+      });
+      db.update_tx_db(settings.coin, 3, 3, 0, 'update', function() {
+        expect(store.reorg.length).toBe(0);
+        expect(totals(address(store, 'XA'))).toEqual([50 * COIN, 70 * COIN, 20 * COIN]);
+        done();
+      });
+    });
+
+    it('should stop the sync when a rollback step fails', function(done) {
+      store.fail('utxo', 'deleteMany', 1);
+      db.update_tx_db(settings.coin, 3, 3, 0, 'update', function(err) {
+        expect(err).toBeTruthy();
+        expect(store.reorg.length).toBe(0);
+        expect(store.stats[0].last).toBe(3);
+        expect(store.tx.filter(function(tx) {
+          return tx.blockhash == hex('b2');
+        }).length).toBe(0);
+        done();
+      });
+    });
+
+    it('should not reverse an address twice when a rollback is replayed', function(done) {
+      store.fail('utxo', 'deleteMany', 1);
+      db.update_tx_db(settings.coin, 3, 3, 0, 'update', function(err) {
+        expect(err).toBeTruthy();
+        // the addresses were reversed before the failing step
+        expect(totals(address(store, 'XA'))).toEqual([0, 50 * COIN, 50 * COIN]);
+        db.update_tx_db(settings.coin, 3, 3, 0, 'update', function(err) {
+          expect(err).toBeFalsy();
+          expect(store.reorg.length).toBe(1);
+          expect(totals(address(store, 'XA'))).toEqual([0, 50 * COIN, 50 * COIN]);
+          expect(totals(address(store, 'XC'))).toEqual([0, 0, 0]);
+          expect(store.stats[0].last).toBe(3);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('update_tx_db replaying a block', function() {
+    var store;
+    var node;
+
+    beforeEach(function() {
+      spyOn(console, 'log');
+      store = fake_db();
+      store.stats.push({coin: settings.coin, last: 0});
+      node = fake_node();
+      node.mine('a1', [{outputs: [['XA', 50]]}]);
+      node.mine('a2', [{outputs: [['XB', 50]]}, {inputs: [[txid('a1', 0), 0]], outputs: [['XC', 30], ['XA', 20]]}]);
+    });
+
+    it('should leave the address totals unchanged when a block is committed twice', function(done) {
+      db.update_tx_db(settings.coin, 0, 1, 0, 'update', function() {
+        // block 2's addresses are written before its txs fail to
+        store.fail('tx', 'bulkWrite', 1);
+        db.update_tx_db(settings.coin, 1, 2, 0, 'update', function() {
+          expect(store.stats[0].last).toBe(1);
+          expect(totals(address(store, 'XC'))).toEqual([0, 30 * COIN, 30 * COIN]);
+          db.update_tx_db(settings.coin, 1, 2, 0, 'update', function() {
+            expect(store.stats[0].last).toBe(2);
+            expect(totals(address(store, 'XA'))).toEqual([50 * COIN, 70 * COIN, 20 * COIN]);
+            expect(totals(address(store, 'XB'))).toEqual([0, 50 * COIN, 50 * COIN]);
+            expect(totals(address(store, 'XC'))).toEqual([0, 30 * COIN, 30 * COIN]);
+            expect(store.addresstx.map(function(row) {
+              return [row.a_id, row.amount];
+            })).toEqual(jasmine.arrayWithExactContents([
+              ['XA', 50 * COIN], ['XB', 50 * COIN], ['XC', 30 * COIN], ['XA', -30 * COIN]
+            ]));
+            expect(store.tx.length).toBe(3);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('block batches', function() {
+    // the fields both paths write, by collection key
+    function snapshot(store) {
+      var strip = function(docs, key) {
+        return docs.map(function(doc) {
+          var copy = Object.assign({}, doc);
+          delete copy._id;
+          // only block batches guard replays
+          delete copy.last_block;
+          delete copy.first_block;
+          return copy;
+        }).sort(function(a, b) {
+          return key(a) < key(b) ? -1 : 1;
+        });
+      };
+      return {
+        addresses: strip(store.address, function(doc) {
+          return doc.a_id;
+        }),
+        address_txs: strip(store.addresstx, function(doc) {
+          return doc.a_id + doc.txid;
+        }),
+        txs: strip(store.tx, function(doc) {
+          return doc.txid;
+        }),
+      };
+    }
+
+    it('should write the same documents as saving the txs one at a time', function(done) {
+      spyOn(console, 'log');
+      var store = fake_db();
+      store.stats.push({coin: settings.coin, last: 0});
+      var node = fake_node();
+      node.mine('a1', [{outputs: [['XA', 50]]}]);
+      // XA spends the change of a tx in the same block
+      node.mine('a2', [
+        {outputs: [['XA', 50]]},
+        {inputs: [[txid('a1', 0), 0]], outputs: [['XB', 10], ['XA', 40]]},
+        {inputs: [[txid('a2', 1), 1]], outputs: [['XB', 15], ['XA', 25]]},
+      ]);
+      db.update_tx_db(settings.coin, 0, 2, 0, 'update', function() {
+        var batched = snapshot(store);
+        expect(batched.addresses.length).toBe(3);
+        expect(batched.address_txs.length).toBe(6);
+        expect(batched.txs.length).toBe(4);
+        ['address', 'addresstx', 'tx', 'utxo'].forEach(function(name) {
+          store[name].splice(0);
+        });
+        db.create_txs(node.blocks[0], function() {
+          db.create_txs(node.blocks[1], function() {
+            expect(snapshot(store)).toEqual(batched);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('update_mempool', function() {
+    var store;
+    var pool;
+
+    beforeEach(function(done) {
+      spyOn(console, 'log');
+      store = fake_db();
+      store.stats.push({coin: settings.coin, last: 0});
+      var node = fake_node();
+      node.mine('a1', [{outputs: [['XA', 50]]}, {outputs: [['XB', 50]]}]);
+      pool = {};
+      ['m1', 'm2', 'm3'].forEach(function(label, i) {
+        pool[label] = node.send(label, {inputs: [[txid('a1', i % 2), 0]], outputs: [['XC', 10 + i]]});
+      });
+      spyOn(lib, 'get_rawmempool').and.callFake(function(cb) {
+        var entries = {};
+        lib.get_rawmempool.txids.forEach(function(id, i) {
+          entries[id] = {vsize: 200 + i, time: 1600000000 + i};
+        });
+        cb(entries);
+      });
+      db.update_tx_db(settings.coin, 0, 1, 0, 'update', done);
+    });
+
+    function sync(txids, cb) {
+      lib.get_rawmempool.txids = txids;
+      db.update_mempool(function() {
+        db.get_mempool(function(txs) {
+          cb(txs.map(function(tx) {
+            return tx.txid;
+          }), store.event.filter(function(event) {
+            return event.type == 'mempool';
+          }).map(function(event) {
+            return event.data;
+          }));
+        });
+      });
+    }
+
+    it('should add and remove txs as the node pool changes', function(done) {
+      sync([pool.m1, pool.m2], function(txids, events) {
+        expect(txids).toEqual([pool.m2, pool.m1]);
+        var stored = store.mempool.filter(function(tx) {
+          return tx.txid == pool.m1;
+        })[0];
+        expect(stored.addresses.sort()).toEqual(['XA', 'XC']);
+        expect(stored.total).toBe(10 * COIN);
+        expect(events).toEqual([{count: 2, added: 2, removed: 0}]);
+        sync([pool.m2, pool.m3], function(txids, events) {
+          expect(txids.sort()).toEqual([pool.m2, pool.m3].sort());
+          expect(events[1]).toEqual({count: 2, added: 1, removed: 1});
+          sync([pool.m2, pool.m3], function(txids, events) {
+            // nothing changed, nothing published
+            expect(events.length).toBe(2);
+            sync([], function(txids, events) {
+              expect(txids).toEqual([]);
+              expect(events[2]).toEqual({count: 0, added: 0, removed: 2});
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('address clusters', function() {
+    var store;
+    var node;
+
+    function clusters() {
+      var found = {};
+      store.address.forEach(function(doc) {
+        if (doc.a_id != 'coinbase') {
+          found[doc.a_id] = doc.cluster;
+        }
+      });
+      return found;
+    }
+
+    // XA and XB are co-spent in block 2, XC joins them in block 3
+    beforeEach(function(done) {
+      spyOn(console, 'log');
+      store = fake_db();
+      store.stats.push({coin: settings.coin, last: 0});
+      node = fake_node();
+      node.mine('a1', [{outputs: [['XA', 50]]}, {outputs: [['XB', 50]]}, {outputs: [['XC', 50]]}]);
+      node.mine('a2', [{inputs: [[txid('a1', 0), 0], [txid('a1', 1), 0]], outputs: [['XD', 60], ['XA', 40]]}]);
+      node.mine('a3', [{inputs: [[txid('a1', 2), 0], [txid('a2', 0), 1]], outputs: [['XE', 90]]}]);
+      db.update_tx_db(settings.coin, 0, 3, 0, 'update', done);
+    });
+
+    it('should merge co-spent addresses into one cluster', function(done) {
+      var found = clusters();
+      expect(found.XA).toBeTruthy();
+      expect([found.XB, found.XC]).toEqual([found.XA, found.XA]);
+      expect([found.XD, found.XE]).toEqual([undefined, undefined]);
+      // replaying the blocks changes nothing
+      db.update_tx_db(settings.coin, 1, 3, 0, 'update', function() {
+        expect(clusters()).toEqual(found);
+        done();
+      });
+    });
+
+    it('should split clusters merged by orphaned blocks', function(done) {
+      node.reorg(2);
+      node.mine('b3', [{inputs: [[txid('a1', 2), 0]], outputs: [['XE', 50]]}]);
+      db.update_tx_db(settings.coin, 3, 3, 0, 'update', function(err) {
+        expect(err).toBeFalsy();
+        expect(store.reorg.length).toBe(1);
+        var found = clusters();
+        expect(found.XA).toBeTruthy();
+        expect(found.XB).toBe(found.XA);
+        expect([found.XC, found.XD, found.XE]).toEqual([undefined, undefined, undefined]);
+        done();
+      });
+    });
+  });
+
+  describe('sync status', function() {
+    var store;
+    var node;
+
+    beforeEach(function() {
+      spyOn(console, 'log');
+      store = fake_db();
+      node = fake_node();
+      for (var height = 1; height <= 4; height++) {
+        node.mine('a' + height, [{outputs: [['XA', 50]]}]);
+      }
+    });
+
+    it('should be null without a stats document', function(done) {
+      db.get_sync_status(settings.coin, function(status) {
+        expect(status).toBeNull();
+        done();
+      });
+    });
+
+    it('should report the indexed height of stats saved before sync progress was recorded', function(done) {
+      store.stats.push({coin: settings.coin, count: 8, last: 2});
+      db.get_sync_status(settings.coin, function(status) {
+        expect([status.running, status.height, status.target, status.percent, status.eta]).toEqual([false, 2, 8, 25, 0]);
+        done();
+      });
+    });
+
+    it('should report the progress of a running sync and its end', function(done) {
+      store.stats.push({coin: settings.coin, count: 4, last: 0});
+      var running = [];
+      lib.get_blockhash.and.callFake(function(height, cb) {
+        db.get_sync_status(settings.coin, function(status) {
+          running.push(status);
+          cb(node.blocks[height - 1].hash);
+        });
+      });
+      db.update_tx_db(settings.coin, 0, 4, 0, 'update', function() {
+        var first = running[0];
+        expect([first.running, first.mode, first.start_height, first.height, first.target, first.percent]).toEqual([true, 'update', 1, 0, 4, 0]);
+        // the home page shows the syncing notice while more than a block behind
+        expect(first.target - first.height).toBeGreaterThan(1);
+        expect(first.started instanceof Date).toBe(true);
+        db.get_sync_status(settings.coin, function(status) {
+          expect([status.running, status.height, status.target, status.percent, status.eta]).toEqual([false, 4, 4, 100, 0]);
+          expect(status.target - status.height).toBe(0);
+          expect(status.updated.getTime()).not.toBeLessThan(first.updated.getTime());
+          done();
+        });
+      });
+    });
+  });
+});
@@ -75,6 +75,293 @@ describe('explorer', function() {
     });
   });
 
+  describe('get_vout_addresses', function() {
+
+    it('should read the addresses array', function() {
+      var output = {value: 1, n: 0, scriptPubKey: {type: 'pubkeyhash', addresses: ['XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U']}};
+      expect(lib.get_vout_addresses(output)).toEqual(['XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U']);
+    });
+
+    it('should read the single address format', function() {
+      var output = {value: 1, n: 0, scriptPubKey: {type: 'pubkeyhash', address: 'XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U'}};
+      expect(lib.get_vout_addresses(output)).toEqual(['XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U']);
+    });
+
+    it('should return an empty array for outputs without addresses', function() {
+      expect(lib.get_vout_addresses({value: 0, n: 0, scriptPubKey: {type: 'nulldata'}})).toEqual([]);
+      expect(lib.get_vout_addresses(null)).toEqual([]);
+    });
+  });
+
+  describe('get_vout_owner', function() {
+
+    it('should credit single key outputs to their address', function() {
+      var output = {value: 1, n: 0, scriptPubKey: {type: 'pubkeyhash', address: 'XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U'}};
+      expect(lib.get_vout_owner(output)).toEqual({address: 'XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U'});
+    });
+
+    it('should credit multisig outputs to a stable synthetic id', function() {
+      var listed = {value: 1, n: 0, scriptPubKey: {type: 'multisig', reqSigs: 2, addresses: ['XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U', 'XyPreJfnUxSSY1QbYqQxDXpymc26VFQPDV']}};
+      var owner = lib.get_vout_owner(listed);
+      expect(owner.address).toEqual(lib.get_multisig_id(2, listed.scriptPubKey.addresses));
+      expect(owner.address.indexOf('multisig:2of2:')).toEqual(0);
+      expect(owner.keys).toEqual(listed.scriptPubKey.addresses);
+      expect(owner.required).toEqual(2);
+    });
+
+    it('should read keys and m-of-n from the script when not listed', function() {
+      var output = {value: 1, n: 0, scriptPubKey: {type: 'multisig', asm: '1 02aa 03bb 2 OP_CHECKMULTISIG'}};
+      var owner = lib.get_vout_owner(output);
+      expect(owner.keys).toEqual(['02aa', '03bb']);
+      expect(owner.required).toEqual(1);
+      expect(lib.get_vout_owner({value: 0, n: 1, scriptPubKey: {type: 'nulldata'}})).toEqual(null);
+    });
+  });
+
+  describe('get_script_types', function() {
+
+    it('should count and sum outputs by script type', function() {
+      var vout = [
+        {value: 1.5, n: 0, scriptPubKey: {type: 'pubkeyhash', address: 'XsF8k8s5CoS3XATqW2FkuTsznbJJzFAC2U'}},
+        {value: 0, n: 1, scriptPubKey: {type: 'nulldata'}},
+        {value: 0.25, n: 2, scriptPubKey: {type: 'pubkeyhash', address: 'XyPreJfnUxSSY1QbYqQxDXpymc26VFQPDV'}},
+        {value: 2, n: 3, scriptPubKey: {type: 'witness_v0_keyhash', address: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'}}
+      ];
+      expect(lib.get_script_types(vout)).toEqual([
+        {type: 'pubkeyhash', count: 2, value: 175000000},
+        {type: 'nulldata', count: 1, value: 0},
+        {type: 'witness_v0_keyhash', count: 1, value: 200000000}
+      ]);
+    });
+
+    it('should count outputs without a script as nonstandard', function() {
+      expect(lib.get_script_types([{value: 1, n: 0}])).toEqual([{type: 'nonstandard', count: 1, value: 100000000}]);
+      expect(lib.get_script_types(null)).toEqual([]);
+    });
+  });
+
+  describe('decode_op_return', function() {
+
+    it('should decode printable payloads as text', function() {
+      expect(lib.decode_op_return('6a0b68656c6c6f20776f726c64')).toEqual({hex: '68656c6c6f20776f726c64', utf8: 'hello world'});
+    });
+
+    it('should read PUSHDATA1 payloads and leave binary data as hex only', function() {
+      expect(lib.decode_op_return('6a4c0401020304')).toEqual({hex: '01020304', utf8: null});
+    });
+
+    it('should reject scripts that are not OP_RETURN or are truncated', function() {
+      expect(lib.decode_op_return('76a914')).toEqual(null);
+      expect(lib.decode_op_return('6a0568656c')).toEqual(null);
+    });
+  });
+
+  describe('classify_tx', function() {
+    it('should classify coinbase txs with their outputs as reward', function() {
+      var tx = {
+        vin: [{coinbase: '03a0860104'}],
+        vout: [{value: 1.5, scriptPubKey: {type: 'pubkeyhash'}}, {value: 0.25, scriptPubKey: {type: 'pubkeyhash'}}]
+      };
+      expect(lib.classify_tx(tx, [{addresses: 'coinbase', amount: 175000000}])).toEqual({type: 'coinbase', reward: 175000000});
+    });
+
+    it('should classify coinstake txs with the stake subtracted from the reward', function() {
+      var tx = {
+        vin: [{txid: 'a', vout: 1}],
+        vout: [{value: 0, scriptPubKey: {type: 'nonstandard'}}, {value: 101.5, scriptPubKey: {type: 'pubkey'}}]
+      };
+      expect(lib.classify_tx(tx, [{addresses: 'XyPreJfnUxSSY1QbYqQxDXpymc26VFQPDV', amount: 10000000000}])).toEqual({type: 'coinstake', reward: 150000000});
+    });
+
+    it('should classify everything else as regular', function() {
+      var tx = {
+        vin: [{txid: 'a', vout: 0}],
+        vout: [{value: 1, scriptPubKey: {type: 'pubkeyhash'}}, {value: 0, scriptPubKey: {type: 'nulldata'}}]
+      };
+      expect(lib.classify_tx(tx, [{addresses: 'XyPreJfnUxSSY1QbYqQxDXpymc26VFQPDV', amount: 100010000}])).toEqual({type: 'regular', reward: 0});
+    });
+  });
+
+  describe('get_tx_fee', function() {
+    var tx = {
+      vsize: 200,
+      size: 250,
+      vout: [{value: 0.9, scriptPubKey: {type: 'pubkeyhash'}}, {value: 0.0999, scriptPubKey: {type: 'pubkeyhash'}}]
+    };
+
+    it('should return inputs minus outputs and the rate per virtual byte', function() {
+      expect(lib.get_tx_fee(tx, [{addresses: 'a', amount: 100000000}], 'regular')).toEqual({fee: 10000, size: 200, fee_rate: 50});
+    });
+
+    it('should not charge coinbase and coinstake txs or unresolved inputs', function() {
+      expect(lib.get_tx_fee(tx, [{addresses: 'a', amount: 100000000}], 'coinstake').fee).toEqual(0);
+      expect(lib.get_tx_fee(tx, [], 'regular').fee).toEqual(0);
+    });
+  });
+
+  describe('get_fee_summary', function() {
+    it('should total and take medians over regular txs only', function() {
+      var txs = [
+        {type: 'coinbase', fee: 0, fee_rate: 0},
+        {type: 'regular', fee: 1000, fee_rate: 5},
+        {type: 'regular', fee: 3000, fee_rate: 12},
+        {type: 'regular', fee: 2000, fee_rate: 10},
+        {type: 'regular', fee: 6000, fee_rate: 30}
+      ];
+      expect(lib.get_fee_summary(txs)).toEqual({fees: 12000, median_fee: 2500, median_fee_rate: 11});
+      expect(lib.get_fee_summary([])).toEqual({fees: 0, median_fee: 0, median_fee_rate: 0});
+    });
+  });
+
+  describe('rank_richlist', function() {
+    it('should rank addresses in order skipping excluded ones', function() {
+      var ranked = lib.rank_richlist([
+        {a_id: 'A', balance: 500},
+        {a_id: 'BURN', balance: 400},
+        {a_id: 'C', balance: 300}
+      ], ['BURN']);
+      expect(ranked.map(function(entry) {
+        return [entry.a_id, entry.rank, entry.excluded];
+      })).toEqual([['A', 1, false], ['BURN', null, true], ['C', 2, false]]);
+    });
+  });
+
+  describe('get_distribution_stats', function() {
+    var balances = [600, 200, 100, 60, 40];
+
+    it('should fill rank buckets and balance ranges', function() {
+      var dist = lib.get_distribution_stats(balances, [2], [0, 0.000001], []);
+      expect(dist.total).toEqual(1000);
+      expect(dist.rank_buckets.map(function(bucket) {
+        return [bucket.from, bucket.to, bucket.count, bucket.total, bucket.percent];
+      })).toEqual([[1, 2, 2, 800, 80], [3, null, 3, 200, 20]]);
+      expect(dist.balance_buckets.map(function(bucket) {
+        return [bucket.from, bucket.to, bucket.count, bucket.total];
+      })).toEqual([[0, 0.000001, 2, 100], [0.000001, null, 3, 900]]);
+    });
+
+    it('should count the addresses holding each concentration share', function() {
+      var dist = lib.get_distribution_stats(balances, [], [], [50, 80, 95]);
+      expect(dist.nakamoto).toEqual([{percent: 50, addresses: 1}, {percent: 80, addresses: 2}, {percent: 95, addresses: 4}]);
+    });
+
+    it('should compute the Gini coefficient', function() {
+      expect(lib.get_distribution_stats([5, 5, 5, 5], [], [], []).gini).toEqual(0);
+      expect(lib.get_distribution_stats([100, 0, 0, 0], [], [], []).gini).toEqual(0.75);
+      expect(lib.get_distribution_stats([], [], [], []).gini).toEqual(0);
+    });
+  });
+
+  describe('get_balance_history', function() {
+    var rows = [
+      {height: 10, amount: 500},
+      {height: 12, amount: -200},
+      {height: 15, amount: 100},
+      {height: 20, amount: -400}
+    ];
+
+    it('should keep a running balance per block', function() {
+      expect(lib.get_balance_history(rows).map(function(point) {
+        return [point.height, point.balance];
+      })).toEqual([[10, 500], [12, 300], [15, 400], [20, 0]]);
+    });
+
+    it('should sample down to max points keeping the latest block', function() {
+      expect(lib.get_balance_history(rows, 2).map(function(point) {
+        return [point.height, point.balance];
+      })).toEqual([[12, 300], [20, 0]]);
+    });
+  });
+
+  describe('cluster_inputs', function() {
+    it('should merge addresses co-spent across txs', function() {
+      var txs = [
+        {vin: [{addresses: 'A'}, {addresses: 'B'}]},
+        {vin: [{addresses: 'C'}]},
+        {vin: [{addresses: 'D'}, {addresses: 'B'}]},
+        {vin: [{addresses: 'E'}, {addresses: 'F'}]}
+      ];
+      expect(lib.cluster_inputs(txs)).toEqual([['A', 'B', 'D'], ['E', 'F']]);
+    });
+
+    it('should ignore coinbase and multisig inputs', function() {
+      var txs = [
+        {vin: [{addresses: 'coinbase'}]},
+        {vin: [{addresses: 'multisig:1of2:ab'}, {addresses: 'A'}]}
+      ];
+      expect(lib.cluster_inputs(txs)).toEqual([]);
+    });
+  });
+
+  describe('trace', function() {
+    var outpoints = [
+      {txid: 't0', n: 0, address: 'A', amount: 500, spent_txid: 't1'},
+      {txid: 't0', n: 1, address: 'B', amount: 5, spent_txid: 't2'},
+      {txid: 't1', n: 0, address: 'C', amount: 400, spent_txid: 't3'},
+      {txid: 't1', n: 1, address: 'D', amount: 90, spent_txid: null},
+      {txid: 't3', n: 0, address: 'E', amount: 400, spent_txid: null}
+    ];
+    var forward = function(txids, cb) {
+      cb(outpoints.filter(function(out) { return txids.indexOf(out.txid) > -1; }));
+    };
+    var backward = function(txids, cb) {
+      cb(outpoints.filter(function(out) { return txids.indexOf(out.spent_txid) > -1; }));
+    };
+    var txs = function(graph) {
+      return graph.nodes.filter(function(node) { return node.type == 'tx'; }).map(function(node) {
+        return [node.txid, node.hop];
+      });
+    };
+
+    it('should follow outputs forward above the threshold', function(done) {
+      lib.trace('t0', 'forward', 2, 10, 100, forward, function(graph) {
+        expect(txs(graph)).toEqual([['t0', 0], ['t1', 1], ['t3', 2]]);
+        expect(graph.edges.length).toEqual(5);
+        expect(graph.truncated).toBe(false);
+        done();
+      });
+    });
+
+    it('should follow inputs backward', function(done) {
+      lib.trace('t3', 'backward', 5, 0, 100, backward, function(graph) {
+        expect(txs(graph)).toEqual([['t3', 0], ['t1', 1], ['t0', 2]]);
+        done();
+      });
+    });
+
+    it('should stop at max txs', function(done) {
+      lib.trace('t0', 'forward', 5, 0, 2, forward, function(graph) {
+        expect(txs(graph).length).toEqual(2);
+        expect(graph.truncated).toBe(true);
+        done();
+      });
+    });
+  });
+
+  describe('sanitize_label', function() {
+    it('should drop markup and control characters', function() {
+      expect(lib.sanitize_label('  <b>alice</b>\n\tpool ')).toEqual('b alice /b pool');
+    });
+
+    it('should cut long labels to max length', function() {
+      expect(lib.sanitize_label('abcdefghij', 4)).toEqual('abcd');
+    });
+
+    it('should return an empty string for anything but a string', function() {
+      expect(lib.sanitize_label(undefined, 10)).toEqual('');
+      expect(lib.sanitize_label({name: 'x'}, 10)).toEqual('');
+    });
+  });
+
+  describe('claim_message', function() {
+    it('should bind the address, nonce and expiry', function() {
+      var message = lib.claim_message('XjYC7q5QwG7dGnytYDoCURhL4CATj6WQhZ', 'ab12', 1600000000);
+      expect(message).toContain('XjYC7q5QwG7dGnytYDoCURhL4CATj6WQhZ');
+      expect(message).toContain('nonce ab12');
+      expect(message).toContain('2020-09-13T12:26:40.000Z');
+    });
+  });
+
   describe('prepare_vout', function() {
     
 
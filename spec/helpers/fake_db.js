@@ -0,0 +1,731 @@
+// an in-memory stand-in for the mongodb collections the indexer uses, for
+// specs that run without a database. models are replaced with jasmine spies
+// so they are restored after every spec. it follows the server where the
+// indexer relies on it: unique indexes reject duplicates (code 11000),
+// upserts insert the filter's equality fields without schema defaults, and
+// documents created with create, insertMany or save get them.
+var fs = require('fs')
+  , path = require('path')
+  , mongoose = require('mongoose');
+
+function clone(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  var copy = {};
+  for (var key in value) {
+    copy[key] = clone(value[key]);
+  }
+  return copy;
+}
+
+function comparable(value) {
+  if (value instanceof mongoose.Types.ObjectId) {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+}
+
+function equal(a, b) {
+  if ((a === null || typeof a === 'undefined') && (b === null || typeof b === 'undefined')) {
+    return true;
+  }
+  return comparable(a) === comparable(b);
+}
+
+// the values found at a dotted path, arrays on the way are expanded
+function values_at(doc, key) {
+  var found = [doc];
+  key.split('.').forEach(function(part) {
+    var next = [];
+    found.forEach(function(value) {
+      if (value === null || typeof value !== 'object') {
+        return next.push(undefined);
+      }
+      var child = value[part];
+      if (Array.isArray(child)) {
+        next.push(child);
+        child.forEach(function(item) {
+          next.push(item);
+        });
+      } else if (Array.isArray(value) && typeof child === 'undefined') {
+        value.forEach(function(item) {
+          next.push(item !== null && typeof item === 'object' ? item[part] : undefined);
+        });
+      } else {
+        next.push(child);
+      }
+    });
+    found = next;
+  });
+  return found;
+}
+
+function is_operator_object(condition) {
+  return condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+    && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)
+    && !(condition instanceof RegExp) && Object.keys(condition).length > 0
+    && Object.keys(condition).every(function(key) {
+      return key.charAt(0) == '$';
+    });
+}
+
+function matches_condition(found, condition) {
+  var any = function(test) {
+    return found.some(test);
+  };
+  if (condition instanceof RegExp) {
+    return any(function(value) {
+      return typeof value === 'string' && condition.test(value);
+    });
+  }
+  if (!is_operator_object(condition)) {
+    return any(function(value) {
+      return equal(value, condition);
+    });
+  }
+  return Object.keys(condition).every(function(op) {
+    var arg = condition[op];
+    switch (op) {
+      case '$in':
+        return any(function(value) {
+          return arg.some(function(item) {
+            return equal(value, item);
+          });
+        });
+      case '$nin':
+        return !any(function(value) {
+          return arg.some(function(item) {
+            return equal(value, item);
+          });
+        });
+      case '$ne':
+        return !any(function(value) {
+          return equal(value, arg);
+        });
+      case '$gt':
+        return any(function(value) {
+          return value !== null && typeof value !== 'undefined' && comparable(value) > comparable(arg);
+        });
+      case '$gte':
+        return any(function(value) {
+          return value !== null && typeof value !== 'undefined' && comparable(value) >= comparable(arg);
+        });
+      case '$lt':
+        return any(function(value) {
+          return value !== null && typeof value !== 'undefined' && comparable(value) < comparable(arg);
+        });
+      case '$lte':
+        return any(function(value) {
+          return value !== null && typeof value !== 'undefined' && comparable(value) <= comparable(arg);
+        });
+      case '$exists':
+        return any(function(value) {
+          return typeof value !== 'undefined';
+        }) == arg;
+      case '$regex':
+        return matches_condition(found, new RegExp(arg, condition.$options || ''));
+      case '$options':
+        return true;
+      default:
+        throw new Error('fake_db: unsupported query operator ' + op);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.keys(filter || {}).every(function(key) {
+    if (key == '$or') {
+      return filter.$or.some(function(sub) {
+        return matches(doc, sub);
+      });
+    }
+    if (key == '$and') {
+      return filter.$and.every(function(sub) {
+        return matches(doc, sub);
+      });
+    }
+    return matches_condition(values_at(doc, key), filter[key]);
+  });
+}
+
+function set_path(doc, key, value) {
+  var parts = key.split('.');
+  var target = doc;
+  for (var i = 0; i < parts.length - 1; i++) {
+    if (target[parts[i]] === null || typeof target[parts[i]] !== 'object') {
+      target[parts[i]] = {};
+    }
+    target = target[parts[i]];
+  }
+  if (typeof value === 'undefined') {
+    delete target[parts[parts.length - 1]];
+  } else {
+    target[parts[parts.length - 1]] = value;
+  }
+}
+
+function get_path(doc, key) {
+  return key.split('.').reduce(function(value, part) {
+    return value === null || typeof value !== 'object' ? undefined : value[part];
+  }, doc);
+}
+
+function apply_update(doc, update, inserting) {
+  var operators = {};
+  var plain = {};
+  Object.keys(update).forEach(function(key) {
+    if (key.charAt(0) == '$') {
+      operators[key] = update[key];
+    } else {
+      plain[key] = update[key];
+    }
+  });
+  // mongoose wraps plain fields in $set
+  Object.keys(plain).forEach(function(key) {
+    set_path(doc, key, clone(plain[key]));
+  });
+  Object.keys(operators).forEach(function(op) {
+    var fields = operators[op];
+    Object.keys(fields).forEach(function(key) {
+      var current = get_path(doc, key);
+      switch (op) {
+        case '$set':
+          return set_path(doc, key, clone(fields[key]));
+        case '$setOnInsert':
+          return inserting ? set_path(doc, key, clone(fields[key])) : null;
+        case '$unset':
+          return set_path(doc, key, undefined);
+        case '$inc':
+          return set_path(doc, key, (current || 0) + fields[key]);
+        case '$min':
+          return set_path(doc, key, typeof current === 'undefined' || current === null || fields[key] < current ? fields[key] : current);
+        case '$max':
+          return set_path(doc, key, typeof current === 'undefined' || current === null || fields[key] > current ? fields[key] : current);
+        case '$push':
+          return set_path(doc, key, (current || []).concat([clone(fields[key])]));
+        case '$addToSet':
+          var list = current || [];
+          return set_path(doc, key, list.some(function(item) {
+            return equal(item, fields[key]);
+          }) ? list : list.concat([clone(fields[key])]));
+        default:
+          throw new Error('fake_db: unsupported update operator ' + op);
+      }
+    });
+  });
+}
+
+function sort_docs(docs, sort) {
+  if (!sort) {
+    return docs;
+  }
+  if (typeof sort === 'string') {
+    var parsed = {};
+    sort.split(' ').forEach(function(key) {
+      if (key.charAt(0) == '-') {
+        parsed[key.substr(1)] = -1;
+      } else if (key) {
+        parsed[key] = 1;
+      }
+    });
+    sort = parsed;
+  }
+  var keys = Object.keys(sort);
+  return docs.slice().sort(function(a, b) {
+    for (var i = 0; i < keys.length; i++) {
+      var x = comparable(get_path(a, keys[i]));
+      var y = comparable(get_path(b, keys[i]));
+      var dir = sort[keys[i]] == -1 || sort[keys[i]] == 'desc' ? -1 : 1;
+      if (x === y) {
+        continue;
+      }
+      if (typeof x === 'undefined' || x === null) {
+        return -dir;
+      }
+      if (typeof y === 'undefined' || y === null) {
+        return dir;
+      }
+      return x < y ? -dir : dir;
+    }
+    return 0;
+  });
+}
+
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.charAt(0) == '$') {
+    return get_path(doc, expression.substr(1));
+  }
+  if (expression !== null && typeof expression === 'object' && !Array.isArray(expression)) {
+    var result = {};
+    Object.keys(expression).forEach(function(key) {
+      result[key] = evaluate(doc, expression[key]);
+    });
+    return result;
+  }
+  return expression;
+}
+
+function run_pipeline(docs, pipeline) {
+  pipeline.forEach(function(stage) {
+    var name = Object.keys(stage)[0];
+    var arg = stage[name];
+    switch (name) {
+      case '$match':
+        docs = docs.filter(function(doc) {
+          return matches(doc, arg);
+        });
+        break;
+      case '$unwind':
+        var field = (typeof arg === 'string' ? arg : arg.path).substr(1);
+        var unwound = [];
+        docs.forEach(function(doc) {
+          (get_path(doc, field) || []).forEach(function(item) {
+            var copy = clone(doc);
+            set_path(copy, field, clone(item));
+            unwound.push(copy);
+          });
+        });
+        docs = unwound;
+        break;
+      case '$group':
+        var groups = [];
+        var by_key = {};
+        docs.forEach(function(doc) {
+          var id = evaluate(doc, arg._id);
+          var key = JSON.stringify(comparable(id));
+          if (!by_key[key]) {
+            by_key[key] = {_id: id, docs: []};
+            groups.push(by_key[key]);
+          }
+          by_key[key].docs.push(doc);
+        });
+        docs = groups.map(function(group) {
+          var result = {_id: group._id};
+          Object.keys(arg).forEach(function(key) {
+            if (key == '_id') {
+              return;
+            }
+            var op = Object.keys(arg[key])[0];
+            var list = group.docs.map(function(doc) {
+              return evaluate(doc, arg[key][op]);
+            });
+            if (op == '$sum') {
+              result[key] = list.reduce(function(sum, value) {
+                return sum + (typeof value === 'number' ? value : 0);
+              }, 0);
+            } else if (op == '$avg') {
+              result[key] = list.reduce(function(sum, value) {
+                return sum + value;
+              }, 0) / list.length;
+            } else if (op == '$min') {
+              result[key] = Math.min.apply(null, list);
+            } else if (op == '$max') {
+              result[key] = Math.max.apply(null, list);
+            } else if (op == '$first') {
+              result[key] = list[0];
+            } else if (op == '$push') {
+              result[key] = list;
+            } else {
+              throw new Error('fake_db: unsupported accumulator ' + op);
+            }
+          });
+          return result;
+        });
+        break;
+      case '$sort':
+        docs = sort_docs(docs, arg);
+        break;
+      case '$skip':
+        docs = docs.slice(arg);
+        break;
+      case '$limit':
+      case '$sample':
+        docs = docs.slice(0, name == '$sample' ? arg.size : arg);
+        break;
+      case '$project':
+        docs = docs.map(function(doc) {
+          var result = {_id: doc._id};
+          Object.keys(arg).forEach(function(key) {
+            if (arg[key] === 0) {
+              delete result[key];
+            } else {
+              result[key] = arg[key] === 1 ? get_path(doc, key) : evaluate(doc, arg[key]);
+            }
+          });
+          return result;
+        });
+        break;
+      default:
+        throw new Error('fake_db: unsupported pipeline stage ' + name);
+    }
+  });
+  return docs;
+}
+
+function duplicate_error(model, index) {
+  var err = new Error('E11000 duplicate key error collection: ' + model.collection.name + ' index: ' + JSON.stringify(index));
+  err.code = 11000;
+  return err;
+}
+
+// replaces the model's statics with ones backed by an array of documents
+function fake_model(model) {
+  var docs = [];
+  var unique = model.schema.indexes().filter(function(index) {
+    return index[1] && index[1].unique;
+  }).map(function(index) {
+    return Object.keys(index[0]);
+  });
+
+  var violates = function(doc, ignore) {
+    for (var i = 0; i < unique.length; i++) {
+      var keys = unique[i];
+      var clash = docs.some(function(other) {
+        return other !== ignore && keys.every(function(key) {
+          return equal(get_path(other, key), get_path(doc, key));
+        });
+      });
+      if (clash) {
+        return keys;
+      }
+    }
+    return null;
+  };
+  var insert = function(doc, defaults) {
+    doc = defaults ? new model(doc).toObject({depopulate: true}) : clone(doc);
+    if (typeof doc._id === 'undefined') {
+      doc._id = new mongoose.Types.ObjectId();
+    }
+    var index = violates(doc, null);
+    if (index) {
+      throw duplicate_error(model, index);
+    }
+    docs.push(doc);
+    return doc;
+  };
+  var update = function(filter, changes, options, many) {
+    var found = docs.filter(function(doc) {
+      return matches(doc, filter);
+    });
+    if (!many) {
+      found = found.slice(0, 1);
+    }
+    if (found.length < 1 && options && options.upsert) {
+      var doc = {};
+      Object.keys(filter).forEach(function(key) {
+        if (key.charAt(0) != '$' && !is_operator_object(filter[key])) {
+          set_path(doc, key, clone(filter[key]));
+        }
+      });
+      apply_update(doc, changes, true);
+      insert(doc, false);
+      return {n: 1, nModified: 0, upserted: 1};
+    }
+    found.forEach(function(doc) {
+      var before = clone(doc);
+      apply_update(doc, changes, false);
+      if (violates(doc, doc)) {
+        Object.keys(doc).forEach(function(key) {
+          delete doc[key];
+        });
+        Object.assign(doc, before);
+        throw duplicate_error(model, violates(before, null));
+      }
+    });
+    return {n: found.length, nModified: found.length};
+  };
+  var remove = function(filter, many) {
+    var removed = 0;
+    for (var i = docs.length - 1; i >= 0; i--) {
+      if (matches(docs[i], filter) && (many || removed < 1)) {
+        docs.splice(i, 1);
+        removed++;
+      }
+    }
+    return {n: removed, deletedCount: removed};
+  };
+  // mongoose style callback arguments: (filter, [projection], [options], [cb])
+  var callback_of = function(args) {
+    for (var i = args.length - 1; i >= 0; i--) {
+      if (typeof args[i] === 'function') {
+        return args[i];
+      }
+    }
+    return null;
+  };
+  var respond = function(cb, work) {
+    var err = null;
+    var result;
+    if (model.fake_fail && model.fake_fail(work.operation)) {
+      err = new Error('fake_db: ' + model.modelName + '.' + work.operation + ' failed');
+    } else {
+      try {
+        result = work();
+      } catch (e) {
+        err = e;
+      }
+    }
+    setImmediate(function() {
+      cb(err, result);
+    });
+  };
+  var query = function(operation, run) {
+    var state = {sort: null, skip: 0, limit: 0};
+    var results = function() {
+      var list = sort_docs(run(), state.sort).slice(state.skip);
+      if (state.limit) {
+        list = list.slice(0, state.limit);
+      }
+      return list.map(clone);
+    };
+    var q = {
+      sort: function(sort) {
+        state.sort = sort;
+        return q;
+      },
+      skip: function(skip) {
+        state.skip = skip;
+        return q;
+      },
+      limit: function(limit) {
+        state.limit = limit;
+        return q;
+      },
+      lean: function() {
+        return q;
+      },
+      select: function() {
+        return q;
+      },
+      allowDiskUse: function() {
+        return q;
+      },
+      exec: function(cb) {
+        var work = function() {
+          var list = results();
+          return operation == 'findOne' ? (list[0] || null) : list;
+        };
+        work.operation = operation;
+        respond(cb, work);
+      },
+      cursor: function() {
+        var list = null;
+        return {
+          next: function(cb) {
+            if (list === null) {
+              list = results();
+            }
+            setImmediate(function() {
+              cb(null, list.length ? list.shift() : null);
+            });
+          }
+        };
+      },
+    };
+    return q;
+  };
+  var finder = function(operation) {
+    return function(filter) {
+      var cb = callback_of(Array.prototype.slice.call(arguments, 1));
+      var q = query(operation, function() {
+        return docs.filter(function(doc) {
+          return matches(doc, filter);
+        });
+      });
+      if (operation == 'findOne') {
+        q.limit(1);
+      }
+      if (cb) {
+        return q.exec(cb);
+      }
+      return q;
+    };
+  };
+  var writer = function(operation, run) {
+    return function() {
+      var args = Array.prototype.slice.call(arguments);
+      var cb = callback_of(args) || function(err) {
+        if (err) {
+          throw err;
+        }
+      };
+      var work = function() {
+        return run.apply(null, args.filter(function(arg) {
+          return typeof arg !== 'function';
+        }));
+      };
+      work.operation = operation;
+      respond(cb, work);
+    };
+  };
+
+  spyOn(model, 'find').and.callFake(finder('find'));
+  spyOn(model, 'findOne').and.callFake(finder('findOne'));
+  spyOn(model, 'findById').and.callFake(function(id, projection, cb) {
+    return finder('findOne')({_id: id}, projection, cb);
+  });
+  spyOn(model, 'countDocuments').and.callFake(writer('countDocuments', function(filter) {
+    return docs.filter(function(doc) {
+      return matches(doc, filter);
+    }).length;
+  }));
+  spyOn(model, 'distinct').and.callFake(writer('distinct', function(field, filter) {
+    var seen = [];
+    docs.filter(function(doc) {
+      return matches(doc, filter);
+    }).forEach(function(doc) {
+      values_at(doc, field).forEach(function(value) {
+        if (typeof value !== 'undefined' && !Array.isArray(value) && !seen.some(function(item) {
+          return equal(item, value);
+        })) {
+          seen.push(value);
+        }
+      });
+    });
+    return seen;
+  }));
+  spyOn(model, 'updateOne').and.callFake(writer('updateOne', function(filter, changes, options) {
+    return update(filter, changes, options, false);
+  }));
+  spyOn(model, 'updateMany').and.callFake(writer('updateMany', function(filter, changes, options) {
+    return update(filter, changes, options, true);
+  }));
+  spyOn(model, 'deleteOne').and.callFake(writer('deleteOne', function(filter) {
+    return remove(filter, false);
+  }));
+  spyOn(model, 'deleteMany').and.callFake(writer('deleteMany', function(filter) {
+    return remove(filter, true);
+  }));
+  spyOn(model, 'findOneAndDelete').and.callFake(writer('findOneAndDelete', function(filter) {
+    var found = docs.filter(function(doc) {
+      return matches(doc, filter);
+    })[0];
+    if (found) {
+      docs.splice(docs.indexOf(found), 1);
+    }
+    return found ? clone(found) : null;
+  }));
+  spyOn(model, 'findOneAndUpdate').and.callFake(writer('findOneAndUpdate', function(filter, changes, options) {
+    var found = docs.filter(function(doc) {
+      return matches(doc, filter);
+    })[0];
+    var before = found ? clone(found) : null;
+    update(filter, changes, options, false);
+    if (options && options.new) {
+      return clone(docs.filter(function(doc) {
+        return matches(doc, filter);
+      })[0] || null);
+    }
+    return before;
+  }));
+  spyOn(model, 'create').and.callFake(writer('create', function(doc) {
+    return Array.isArray(doc) ? doc.map(function(item) {
+      return insert(item, true);
+    }) : insert(doc, true);
+  }));
+  spyOn(model, 'insertMany').and.callFake(writer('insertMany', function(list) {
+    return list.map(function(item) {
+      return insert(item, true);
+    });
+  }));
+  spyOn(model, 'bulkWrite').and.callFake(writer('bulkWrite', function(ops, options) {
+    var ordered = !options || options.ordered !== false;
+    var write_errors = [];
+    for (var i = 0; i < ops.length; i++) {
+      var op = ops[i];
+      var type = Object.keys(op)[0];
+      var arg = op[type];
+      try {
+        if (type == 'insertOne') {
+          insert(arg.document, true);
+        } else if (type == 'updateOne' || type == 'updateMany') {
+          update(arg.filter, arg.update, {upsert: arg.upsert}, type == 'updateMany');
+        } else if (type == 'deleteOne' || type == 'deleteMany') {
+          remove(arg.filter, type == 'deleteMany');
+        } else {
+          throw new Error('fake_db: unsupported bulk op ' + type);
+        }
+      } catch (e) {
+        if (e.code !== 11000) {
+          throw e;
+        }
+        write_errors.push({index: i, code: e.code, errmsg: e.message});
+        if (ordered) {
+          break;
+        }
+      }
+    }
+    if (write_errors.length > 0) {
+      var err = new Error('fake_db: bulk write errors');
+      err.code = write_errors.length == 1 ? 11000 : undefined;
+      err.writeErrors = write_errors;
+      throw err;
+    }
+    return {ok: 1};
+  }));
+  spyOn(model, 'aggregate').and.callFake(function(pipeline, cb) {
+    var q = query('aggregate', function() {
+      return run_pipeline(docs.map(clone), pipeline);
+    });
+    if (cb) {
+      return q.exec(cb);
+    }
+    return q;
+  });
+  spyOn(model.prototype, 'save').and.callFake(function(options, cb) {
+    var doc = this.toObject({depopulate: true});
+    cb = callback_of([options, cb]);
+    var work = function() {
+      return insert(doc, false);
+    };
+    work.operation = 'save';
+    respond(cb, work);
+  });
+  return docs;
+}
+
+// fakes every model in models/ and returns their documents by file name
+// (store.address for models/address.js).
+// store.fail(name, operation, [times]) makes an operation of a model fail.
+module.exports = function() {
+  var store = {};
+  var dir = path.join(__dirname, '../../models');
+  fs.readdirSync(dir).forEach(function(file) {
+    if (!/\.js$/.test(file)) {
+      return;
+    }
+    var model = require(path.join(dir, file));
+    if (typeof model !== 'function' || !model.schema) {
+      return;
+    }
+    var name = path.basename(file, '.js');
+    model.fake_fail = null;
+    store[name] = fake_model(model);
+    store[name].model = model;
+  });
+  store.fail = function(name, operation, times) {
+    var model = store[name].model;
+    var left = typeof times === 'number' ? times : Infinity;
+    model.fake_fail = function(op) {
+      if (op != operation || left < 1) {
+        return false;
+      }
+      left--;
+      return true;
+    };
+  };
+  return store;
+};
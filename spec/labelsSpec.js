@@ -0,0 +1,21 @@
+describe('labels', function() {
+  var labels = require('../lib/labels');
+
+  describe('normalise', function() {
+    it('should keep http and https links', function() {
+      expect(labels.normalise({name: 'Pool', url: 'https://pool.example.com/'}).url).toBe('https://pool.example.com/');
+      expect(labels.normalise({name: 'Pool', url: 'http://pool.example.com/'}).url).toBe('http://pool.example.com/');
+    });
+
+    it('should drop links with other schemes', function() {
+      ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'pool.example.com', '', null].forEach(function(url) {
+        expect(labels.normalise({name: 'Pool', url: url}).url).toBe('', url);
+      });
+    });
+
+    it('should default unknown categories and badges', function() {
+      expect(labels.normalise({name: 'Pool', category: 'other'})).toEqual({name: 'Pool', category: '', url: '', badge: 'light'});
+      expect(labels.normalise({name: ''})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,25 @@
+describe('live', function() {
+  var live = require('../lib/live');
+
+  describe('tx_data', function() {
+    it('should net what each address received and sent', function() {
+      var tx = {
+        txid: 'ab',
+        timestamp: 1500000000,
+        vin: [{addresses: 'A', amount: 500}],
+        vout: [{addresses: 'B', amount: 300}, {addresses: 'A', amount: 190}]
+      };
+      expect(live.tx_data(tx, 10)).toEqual({txid: 'ab', height: 10, timestamp: 1500000000, amounts: {A: -310, B: 300}});
+    });
+
+    it('should leave out coinbase inputs', function() {
+      var tx = {
+        txid: 'cd',
+        timestamp: 1500000000,
+        vin: [{addresses: 'coinbase', amount: 5000}],
+        vout: [{addresses: 'A', amount: 5000}]
+      };
+      expect(live.tx_data(tx, null).amounts).toEqual({A: 5000});
+    });
+  });
+});
@@ -0,0 +1,106 @@
+describe('verify', function() {
+  var verify = require('../lib/verify');
+  var fake_db = require('./helpers/fake_db');
+  var store;
+
+  function address(hash) {
+    return store.address.filter(function(doc) {
+      return doc.a_id == hash;
+    })[0];
+  }
+
+  // XA mines 50 in t1 and sends 30 of it to XB in t2
+  beforeEach(function() {
+    spyOn(console, 'log');
+    store = fake_db();
+    store.tx.push(
+      {txid: 't1', blockindex: 1, vin: [{addresses: 'coinbase', amount: 50}], vout: [{addresses: 'XA', amount: 50}]},
+      {txid: 't2', blockindex: 2, vin: [{addresses: 'XA', amount: 50}], vout: [{addresses: 'XB', amount: 30}, {addresses: 'XA', amount: 20}]}
+    );
+    store.addresstx.push(
+      {a_id: 'XA', txid: 't1', blockindex: 1, amount: 50},
+      {a_id: 'XA', txid: 't2', blockindex: 2, amount: -30},
+      {a_id: 'XB', txid: 't2', blockindex: 2, amount: 30}
+    );
+    store.address.push(
+      {a_id: 'coinbase', sent: 50},
+      {a_id: 'XA', sent: 50, received: 70, balance: 20},
+      {a_id: 'XB', sent: 0, received: 30, balance: 30}
+    );
+  });
+
+  describe('addresses', function() {
+    it('should pass addresses that match their txs', function(done) {
+      verify.addresses(false, function(report) {
+        expect(report.checked).toBe(3);
+        expect(report.mismatched).toBe(0);
+        expect(report.discrepancies).toEqual([]);
+        done();
+      });
+    });
+
+    it('should report a mismatched address without changing it', function(done) {
+      Object.assign(address('XB'), {received: 40, balance: 40});
+      store.addresstx[2].amount = 40;
+      verify.addresses(false, function(report) {
+        expect(report.mismatched).toBe(1);
+        expect(report.repaired).toBe(0);
+        expect(report.discrepancies[0].address).toBe('XB');
+        expect(report.discrepancies[0].indexed).toEqual({sent: 0, received: 40, balance: 40});
+        expect(report.discrepancies[0].computed).toEqual({sent: 0, received: 30, balance: 30});
+        expect(report.discrepancies[0].address_txs).toEqual([{txid: 't2', indexed: 40, computed: 30}]);
+        expect(address('XB').balance).toBe(40);
+        expect(store.addresstx[2].amount).toBe(40);
+        done();
+      });
+    });
+
+    it('should repair a mismatched address and its AddressTx rows', function(done) {
+      Object.assign(address('XB'), {received: 40, balance: 40});
+      store.addresstx[2].amount = 40;
+      verify.addresses(true, function(report) {
+        expect(report.mismatched).toBe(1);
+        expect(report.repaired).toBe(1);
+        expect([address('XB').sent, address('XB').received, address('XB').balance]).toEqual([0, 30, 30]);
+        expect(store.addresstx[2].amount).toBe(30);
+        verify.addresses(false, function(report) {
+          expect(report.mismatched).toBe(0);
+          done();
+        });
+      });
+    });
+
+    it('should not repair an address with missing txs', function(done) {
+      store.addresstx.push({a_id: 'XB', txid: 't3', blockindex: 3, amount: 5});
+      Object.assign(address('XB'), {received: 35, balance: 35});
+      verify.addresses(true, function(report) {
+        expect(report.mismatched).toBe(1);
+        expect(report.repaired).toBe(0);
+        expect(report.discrepancies[0].missing_txs).toEqual(['t3']);
+        expect(report.discrepancies[0].address_tx_balance).toBe(35);
+        expect(address('XB').balance).toBe(35);
+        done();
+      });
+    });
+
+    it('should check coinbase against the coinbase inputs', function(done) {
+      address('coinbase').sent = 60;
+      verify.addresses(true, function(report) {
+        expect(report.mismatched).toBe(1);
+        expect(report.discrepancies[0].address).toBe('coinbase');
+        expect(report.discrepancies[0].computed).toEqual({sent: 50, received: 0, balance: 0});
+        expect(address('coinbase').sent).toBe(50);
+        done();
+      });
+    });
+
+    it('should count negative balances', function(done) {
+      Object.assign(address('XB'), {sent: 40, balance: -10});
+      verify.addresses(false, function(report) {
+        expect(report.negative).toBe(1);
+        expect(report.mismatched).toBe(1);
+        done();
+      });
+    });
+  });
+});
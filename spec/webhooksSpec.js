@@ -0,0 +1,215 @@
+describe('webhooks', function() {
+  var webhooks = require('../lib/webhooks');
+
+  describe('sign', function() {
+    it('should return the hex hmac-sha256 of the body', function() {
+      expect(webhooks.sign('secret', '{"txid":"ab"}')).toEqual(require('crypto').createHmac('sha256', 'secret').update('{"txid":"ab"}').digest('hex'));
+      expect(webhooks.sign('secret', 'a')).not.toEqual(webhooks.sign('other', 'a'));
+    });
+  });
+
+  describe('retry_delay', function() {
+    it('should double the backoff after each attempt', function() {
+      expect([1, 2, 3, 4].map(function(attempts) {
+        return webhooks.retry_delay(attempts, 30, 0);
+      })).toEqual([30, 60, 120, 240]);
+    });
+
+    it('should not wait longer than max backoff', function() {
+      expect(webhooks.retry_delay(20, 30, 3600)).toEqual(3600);
+    });
+  });
+
+  describe('private_ip', function() {
+    it('should flag loopback, private and link-local ips', function() {
+      ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1'].forEach(function(ip) {
+        expect(webhooks.private_ip(ip)).toBe(true, ip);
+      });
+    });
+
+    it('should pass public ips', function() {
+      ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:808:808'].forEach(function(ip) {
+        expect(webhooks.private_ip(ip)).toBe(false, ip);
+      });
+    });
+  });
+
+  describe('public_lookup', function() {
+    it('should refuse names that resolve to private ips', function(done) {
+      webhooks.public_lookup('localhost', {}, function(err) {
+        expect(err && err.message).toMatch(/^private address/);
+        done();
+      });
+    });
+  });
+
+  describe('tx_amounts', function() {
+    it('should sum what an address received and sent', function() {
+      var tx = {
+        vin: [{addresses: 'A', amount: 500}],
+        vout: [{addresses: 'B', amount: 300}, {addresses: 'A', amount: 190}]
+      };
+      expect(webhooks.tx_amounts(tx, 'A')).toEqual({received: 190, sent: 500});
+      expect(webhooks.tx_amounts(tx, 'B')).toEqual({received: 300, sent: 0});
+    });
+  });
+
+  describe('with a database', function() {
+    var http = require('http');
+    var settings = require('../lib/settings');
+    var fake_db = require('./helpers/fake_db');
+    var saved;
+    var store;
+    var watch;
+
+    function notifications(event) {
+      return store.notification.filter(function(notification) {
+        return notification.event == event;
+      });
+    }
+
+    beforeEach(function() {
+      spyOn(console, 'log');
+      saved = settings.webhooks;
+      settings.webhooks = {enabled: true, allow_private: true, backoff: 30, max_backoff: 0, retries: 2};
+      store = fake_db();
+      watch = {_id: require('mongoose').Types.ObjectId(), a_id: 'XA', url: '', secret: 'secret', confirmations: 3, created: new Date()};
+      store.watch.push(watch);
+    });
+
+    afterEach(function() {
+      settings.webhooks = saved;
+    });
+
+    describe('queue_txs', function() {
+      var tx = {txid: 'a1', blockindex: 10, vin: [{addresses: 'XB', amount: 700000000}], vout: [{addresses: 'XA', amount: 500000000}]};
+
+      it('should queue one notification per watch, tx and event', function(done) {
+        webhooks.queue_txs([tx], 'block', function() {
+          expect(store.notification.length).toBe(1);
+          var notification = store.notification[0];
+          expect(notification.a_id).toBe('XA');
+          expect(notification.payload).toEqual({event: 'block', address: 'XA', txid: 'a1', received: 5, sent: 0, height: 10, confirmations: 1});
+          expect([notification.height, notification.confirm_height, notification.confirm_queued]).toEqual([10, 12, false]);
+          notification.status = 'delivered';
+          webhooks.queue_txs([tx], 'block', function() {
+            webhooks.queue_txs([tx], 'mempool', function() {
+              expect(store.notification.length).toBe(2);
+              // queueing again leaves the first one as it was
+              expect(notifications('block')[0].status).toBe('delivered');
+              expect(notifications('mempool')[0].payload.height).toBeUndefined();
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    describe('check_confirmations', function() {
+      beforeEach(function(done) {
+        store.tx.push({txid: 'a1', blockindex: 10});
+        webhooks.queue_txs([{txid: 'a1', blockindex: 10, vin: [], vout: [{addresses: 'XA', amount: 100000000}]}], 'block', done);
+      });
+
+      it('should queue the confirmed notification at the watch depth', function(done) {
+        webhooks.check_confirmations(11, function() {
+          expect(notifications('confirmed').length).toBe(0);
+          webhooks.check_confirmations(12, function() {
+            expect(notifications('block')[0].confirm_queued).toBe(true);
+            var confirmed = notifications('confirmed');
+            expect(confirmed.length).toBe(1);
+            expect(confirmed[0].payload.confirmations).toBe(3);
+            expect(confirmed[0].status).toBe('pending');
+            done();
+          });
+        });
+      });
+
+      it('should reschedule a tx a reorg moved to another block', function(done) {
+        store.tx[0].blockindex = 11;
+        webhooks.check_confirmations(12, function() {
+          expect(notifications('confirmed').length).toBe(0);
+          var block = notifications('block')[0];
+          expect([block.height, block.confirm_height, block.confirm_queued]).toEqual([11, 13, false]);
+          webhooks.check_confirmations(13, function() {
+            expect(notifications('confirmed').length).toBe(1);
+            done();
+          });
+        });
+      });
+
+      it('should not confirm a tx a reorg removed', function(done) {
+        store.tx.splice(0);
+        webhooks.check_confirmations(12, function() {
+          expect(notifications('confirmed').length).toBe(0);
+          expect(notifications('block')[0].confirm_queued).toBe(true);
+          done();
+        });
+      });
+    });
+
+    describe('deliver', function() {
+      var server;
+      var status;
+      var received;
+
+      beforeEach(function(done) {
+        received = [];
+        server = http.createServer(function(req, res) {
+          var body = '';
+          req.on('data', function(chunk) {
+            body += chunk;
+          });
+          req.on('end', function() {
+            received.push({headers: req.headers, body: body});
+            res.statusCode = status;
+            res.end();
+          });
+        });
+        server.listen(0, '127.0.0.1', function() {
+          watch.url = 'http://127.0.0.1:' + server.address().port + '/hook';
+          webhooks.queue_txs([{txid: 'a1', vin: [], vout: [{addresses: 'XA', amount: 100000000}]}], 'mempool', done);
+        });
+      });
+
+      afterEach(function(done) {
+        server.close(done);
+      });
+
+      it('should post signed notifications and mark them delivered', function(done) {
+        status = 200;
+        webhooks.deliver(function() {
+          expect(received.length).toBe(1);
+          expect(received[0].headers['x-explorer-signature']).toBe('sha256=' + webhooks.sign('secret', received[0].body));
+          expect(JSON.parse(received[0].body).txid).toBe('a1');
+          var notification = store.notification[0];
+          expect([notification.status, notification.attempts]).toEqual(['delivered', 1]);
+          expect(notification.expires instanceof Date).toBe(true);
+          done();
+        });
+      });
+
+      it('should back off after a failure and give up after the last retry', function(done) {
+        status = 500;
+        var before = Date.now();
+        webhooks.deliver(function() {
+          var notification = store.notification[0];
+          expect([notification.status, notification.attempts]).toEqual(['pending', 1]);
+          expect(notification.log[0].error).toBe('HTTP 500');
+          expect(notification.next_attempt.getTime()).not.toBeLessThan(before + 30000);
+          // not due yet
+          webhooks.deliver(function() {
+            expect(received.length).toBe(1);
+            notification.next_attempt = new Date(before);
+            webhooks.deliver(function() {
+              expect(received.length).toBe(2);
+              expect([notification.status, notification.attempts]).toEqual(['failed', 2]);
+              expect(notification.log.length).toBe(2);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});